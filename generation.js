@@ -0,0 +1,1842 @@
+import { createNoise, mulberry32 } from './perlin.js';
+
+// Utils
+export function inverseLerp(min, max, value) {
+  // Garante que o value esteja dentro do intervalo de min a max
+  value = Math.max(min, Math.min(max, value));
+
+  // Calcula o value transformado para o intervalo de 0 a 1
+  return (value - min) / (max - min);
+}
+
+// Same Mulberry32 the noise is shuffled with, for anything that has to be
+// placed deterministically from the seed
+export const createRandom = mulberry32;
+
+// Integer hash of a cell, to seed anything placed per world cell or chunk
+export function hashCell(seed, x, z, pass) {
+  let hash = seed ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(z, 0x165667b1) ^ Math.imul(pass, 0x9e3779b9);
+
+  hash = Math.imul(hash ^ (hash >>> 15), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// Bilinear sample of a grayscale image ({ width, height, data }) at u, v in 0..1
+export function sampleImage({ width, height, data }, u, v) {
+  const x = Math.max(0, Math.min(1, u)) * (width - 1);
+  const y = Math.max(0, Math.min(1, v)) * (height - 1);
+
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+
+  const tx = x - x0;
+  const ty = y - y0;
+
+  const top = data[y0 * width + x0] * (1 - tx) + data[y0 * width + x1] * tx;
+  const bottom = data[y1 * width + x0] * (1 - tx) + data[y1 * width + x1] * tx;
+
+  return top * (1 - ty) + bottom * ty;
+}
+
+// Drops the oldest entries of a cache past `limit`, so long lived workers
+// don't hold on to every seed and setting they've seen
+function trimCache(cache, limit) {
+  while (cache.size > limit) cache.delete(cache.keys().next().value);
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+export function getGridSize({ chunkSize, resolution }) {
+  return Math.floor(chunkSize / resolution);
+}
+
+// Distance between two grid vertices, the last vertex of a chunk sits exactly
+// on the first vertex of its neighbour
+export function getCellSize({ chunkSize, resolution }) {
+  return chunkSize / (getGridSize({ chunkSize, resolution }) - 1);
+}
+
+// Height of the rendered surface in world units, the seabed included
+export function getSurfaceHeight(height, heightMultiplier) {
+  return height * heightMultiplier;
+}
+
+// Defaults
+// Every setting the generation reads, the app adds its own on top
+export const DEFAULT_GENERATION_CONFIG = {
+  seed: 0,
+  size: 3,
+  infinite: false,
+  viewDistance: 2,
+  chunkSize: 512,
+  resolution: 22,
+  octaves: 6,
+  persistance: 0.707,
+  lacunarity: 1.7,
+  noiseSource: 'simplex',
+  noiseGraph: '',
+  heightMultiplier: 250,
+  temperatureScale: 0.6,
+  moistureScale: 1.2,
+  biomeBlend: 0.05,
+  islands: false,
+  islandShape: 'square',
+  islandCount: 1,
+  islandCurve: 3,
+  islandSpread: 2.2,
+  heightmap: false,
+  heightmapNoise: 0.3,
+  mask: false,
+  maskStrength: 1,
+  erosion: false,
+  erosionIterations: 2,
+  erosionRain: 0.5,
+  sedimentCapacity: 1,
+  thermalIterations: 5,
+  talusAngle: 40,
+  rivers: false,
+  riverThreshold: 0.04,
+  riverWidth: 8,
+  riverDepth: 0.01,
+  volumetric: false,
+  overhangStrength: 0.15,
+  overhangScale: 120,
+  caveScale: 90,
+  caveWidth: 0.1,
+  treeDensity: 1,
+  bushDensity: 1,
+  grassDensity: 0.5,
+  rockDensity: 1,
+};
+
+// Biomes are picked by temperature and moisture (both 0 to 1), each one
+// colours the terrain by height with its own ramp and sets how likely each
+// kind of vegetation is to grow on it
+export const DEFAULT_BIOMES = [
+  {
+    name: 'grassland',
+    vegetation: { trees: 0.15, bushes: 0.5, grass: 0.9, rocks: 0.3 },
+    temperatureMin: 0.3,
+    temperatureMax: 0.7,
+    moistureMin: 0,
+    moistureMax: 0.4,
+    blend: 0,
+    ramp: [
+      { height: .45, color: '#9c8c64' },
+      { height: .5, color: '#eee8aa' },
+      { height: .7, color: '#2e8b57' },
+      { height: .9, color: '#696969' },
+      { height: 1, color: '#fffafa' },
+    ],
+  },
+  {
+    name: 'forest',
+    vegetation: { trees: 0.9, bushes: 0.6, grass: 0.4, rocks: 0.2 },
+    temperatureMin: 0.3,
+    temperatureMax: 1,
+    moistureMin: 0.4,
+    moistureMax: 0.75,
+    blend: 0,
+    ramp: [
+      { height: .45, color: '#9c8c64' },
+      { height: .48, color: '#eee8aa' },
+      { height: .75, color: '#1f5f3a' },
+      { height: .9, color: '#696969' },
+      { height: 1, color: '#fffafa' },
+    ],
+  },
+  {
+    name: 'desert',
+    vegetation: { trees: 0.02, bushes: 0.15, grass: 0.05, rocks: 0.6 },
+    temperatureMin: 0.7,
+    temperatureMax: 1,
+    moistureMin: 0,
+    moistureMax: 0.4,
+    blend: 0.02,
+    ramp: [
+      { height: .45, color: '#c2a878' },
+      { height: .8, color: '#e4c988' },
+      { height: .95, color: '#b5651d' },
+      { height: 1, color: '#8b4513' },
+    ],
+  },
+  {
+    name: 'tundra',
+    vegetation: { trees: 0.05, bushes: 0.2, grass: 0.3, rocks: 0.8 },
+    temperatureMin: 0,
+    temperatureMax: 0.3,
+    moistureMin: 0,
+    moistureMax: 1,
+    blend: 0,
+    ramp: [
+      { height: .45, color: '#6b6f66' },
+      { height: .5, color: '#8a8d8f' },
+      { height: .6, color: '#7d8c6a' },
+      { height: 1, color: '#fffafa' },
+    ],
+  },
+  {
+    name: 'swamp',
+    vegetation: { trees: 0.4, bushes: 0.8, grass: 0.7, rocks: 0.1 },
+    temperatureMin: 0.3,
+    temperatureMax: 1,
+    moistureMin: 0.75,
+    moistureMax: 1,
+    blend: 0.01,
+    ramp: [
+      { height: .47, color: '#4a4030' },
+      { height: .52, color: '#5a4d36' },
+      { height: .75, color: '#4f6b2e' },
+      { height: .9, color: '#696969' },
+      { height: 1, color: '#fffafa' },
+    ],
+  },
+];
+
+// Core
+// Every source returns -1 to 1, `w` picks another slice of the 3D ones so
+// layers using them don't repeat each other
+export const NOISE_SOURCES = {
+  simplex: (field, x, z) => field.simplex2(x, z),
+  perlin: (field, x, z) => field.perlin2(x, z),
+  simplex3: (field, x, z, w) => field.simplex3(x, z, w),
+  perlin3: (field, x, z, w) => field.perlin3(x, z, w),
+};
+
+export class Noise {
+  seed;
+
+  field;
+
+  constructor(seed = randomSeed()) {
+    this.seed = seed;
+
+    this.field = createNoise(this.seed);
+  }
+
+  // From 0 to 1
+  get(x, z, source = 'simplex', w = 0) {
+    return (this.sample(x, z, source, w) + 1) / 2;
+  }
+
+  // From -1 to 1
+  sample(x, z, source = 'simplex', w = 0) {
+    return NOISE_SOURCES[source](this.field, x, z, w);
+  }
+}
+
+function getNoiseHeight(noise, { octaves, persistance, lacunarity, noiseSource }, noisePosition) {
+  let amplitude = 1;
+  let frequency = 1;
+  let noiseHeight = 0;
+
+  for (let i = 0; i < octaves; i++) {
+    const value = noise.get(
+      noisePosition.x * frequency,
+      noisePosition.z * frequency,
+      noiseSource
+    );
+
+    noiseHeight += value * amplitude;
+
+    amplitude *= persistance;
+    frequency *= lacunarity;
+  }
+
+  return noiseHeight;
+}
+
+// Noise graph
+// A height can also come from a graph of noise layers written in JSON. Every
+// node takes an optional `weight` its output is multiplied by.
+//
+// Generators, `frequency` scales their position, `seed` shifts them and
+// `source` defaults to the config's noiseSource:
+//   { type: 'fbm' | 'ridged' | 'billow', source, frequency, octaves, persistance, lacunarity, seed }
+//   { type: 'worley', frequency, jitter, distance: 'f1' | 'f2-f1', seed }
+//   { type: 'source', source, frequency, seed }
+// Modifiers:
+//   { type: 'warp', input, warp, strength } moves the input by the warp noise
+//   { type: 'terrace', input, steps, sharpness } cuts the input into steps
+// Operators:
+//   { type: 'add' | 'multiply' | 'max', inputs: [...] }
+//   { type: 'mask', mask, inputs: [low, high] } picks high where the mask is 1
+const NOISE_LAYER_TYPES = ['fbm', 'ridged', 'billow', 'worley', 'source', 'warp', 'terrace', 'add', 'multiply', 'max', 'mask'];
+
+// Octaves of a -1 to 1 source, `shape` turns each octave into 0 to 1 and
+// `feedback` lets an octave scale the next one (ridged multifractal)
+function getOctaves(noise, node, source, x, z, shape, feedback = false) {
+  const { octaves = 6, persistance = 0.5, lacunarity = 2, seed = 0 } = node;
+
+  let amplitude = 1;
+  let frequency = 1;
+  let total = 0;
+  let sum = 0;
+  let previous = 1;
+
+  for (let i = 0; i < octaves; i++) {
+    // Shifted by the seed and per octave so octaves and layers don't line up
+    let value = shape(noise.sample(x * frequency + seed * 31.7 + i * 7.3, z * frequency + seed * 17.1 - i * 3.9, source, seed + i));
+
+    if (feedback) {
+      value *= previous;
+      previous = Math.min(1, value * 2);
+    }
+
+    total += value * amplitude;
+    sum += amplitude;
+
+    amplitude *= persistance;
+    frequency *= lacunarity;
+  }
+
+  return total / sum;
+}
+
+// Distance to the nearest (f1) or the gap between the two nearest (f2-f1)
+// jittered feature points, one per grid cell
+function getWorley({ jitter = 1, distance = 'f1', seed = 0 }, x, z) {
+  const cellX = Math.floor(x);
+  const cellZ = Math.floor(z);
+
+  let f1 = Infinity;
+  let f2 = Infinity;
+
+  for (let dz = -1; dz <= 1; dz++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      const random = createRandom(hashCell(seed, cellX + dx, cellZ + dz, 7));
+
+      const d = Math.hypot(cellX + dx + 0.5 + (random() - 0.5) * jitter - x, cellZ + dz + 0.5 + (random() - 0.5) * jitter - z);
+
+      if (d < f1) {
+        f2 = f1;
+        f1 = d;
+      } else if (d < f2) {
+        f2 = d;
+      }
+    }
+  }
+
+  return Math.min(1, distance === 'f2-f1' ? f2 - f1 : f1);
+}
+
+// Throws unless the node has the layers its type reads, `inputs` holds
+// `count` of them or at least one when `count` isn't given
+function checkNoiseInputs(node, keys, count) {
+  keys.forEach(key => {
+    if (!node[key]) throw new Error(`Noise layer "${node.type}" needs a "${key}" layer`);
+  });
+
+  if (count === undefined) return;
+
+  const inputs = node.inputs ?? [];
+
+  if (!Array.isArray(inputs) || (count ? inputs.length !== count : !inputs.length)) {
+    throw new Error(`Noise layer "${node.type}" needs ${count || 'at least one'} "inputs"`);
+  }
+}
+
+// Turns a node into a function of (noise, x, z)
+function compileNoiseNode(node, defaultSource) {
+  if (!node || typeof node !== 'object') throw new Error('Noise layers have to be objects');
+  if (!NOISE_LAYER_TYPES.includes(node.type)) throw new Error(`Unknown noise layer type "${node.type}"`);
+
+  const frequency = node.frequency ?? 1;
+  const source = node.source ?? defaultSource;
+  const compile = child => compileNoiseNode(child, defaultSource);
+
+  if (!Object.hasOwn(NOISE_SOURCES, source)) throw new Error(`Unknown noise source "${source}"`);
+
+  if (node.type === 'warp') checkNoiseInputs(node, ['input', 'warp']);
+  if (node.type === 'terrace') checkNoiseInputs(node, ['input']);
+  if (['add', 'multiply', 'max'].includes(node.type)) checkNoiseInputs(node, [], 0);
+  if (node.type === 'mask') checkNoiseInputs(node, ['mask'], 2);
+
+  const children = (node.inputs ?? []).map(compile);
+
+  let evaluate;
+
+  switch (node.type) {
+    case 'fbm':
+      evaluate = (noise, x, z) => getOctaves(noise, node, source, x * frequency, z * frequency, value => (value + 1) / 2);
+      break;
+    case 'ridged':
+      evaluate = (noise, x, z) => getOctaves(noise, node, source, x * frequency, z * frequency, value => (1 - Math.abs(value)) ** 2, true);
+      break;
+    case 'billow':
+      evaluate = (noise, x, z) => getOctaves(noise, node, source, x * frequency, z * frequency, value => Math.abs(value));
+      break;
+    case 'source':
+      evaluate = (noise, x, z) => noise.get(x * frequency + (node.seed ?? 0) * 31.7, z * frequency, source, node.seed ?? 0);
+      break;
+    case 'worley':
+      evaluate = (noise, x, z) => getWorley(node, x * frequency, z * frequency);
+      break;
+    case 'warp': {
+      const input = compile(node.input);
+      const warp = compile(node.warp);
+      const strength = node.strength ?? 0.2;
+
+      // The warp noise is read twice, far apart, for the two directions
+      evaluate = (noise, x, z) => input(
+        noise,
+        x + (warp(noise, x, z) - 0.5) * 2 * strength,
+        z + (warp(noise, x + 5.2, z + 1.3) - 0.5) * 2 * strength
+      );
+      break;
+    }
+    case 'terrace': {
+      const input = compile(node.input);
+      const steps = node.steps ?? 6;
+      const sharpness = node.sharpness ?? 0.8;
+
+      evaluate = (noise, x, z) => {
+        const value = input(noise, x, z) * steps;
+        const step = Math.floor(value);
+        const t = smoothstep(sharpness / 2, 1 - sharpness / 2, value - step);
+
+        return (step + (sharpness >= 1 ? 0 : t)) / steps;
+      };
+      break;
+    }
+    case 'add':
+      evaluate = (noise, x, z) => children.reduce((sum, child) => sum + child(noise, x, z), 0);
+      break;
+    case 'multiply':
+      evaluate = (noise, x, z) => children.reduce((product, child) => product * child(noise, x, z), 1);
+      break;
+    case 'max':
+      evaluate = (noise, x, z) => Math.max(...children.map(child => child(noise, x, z)));
+      break;
+    case 'mask': {
+      const mask = compile(node.mask);
+      const [low, high] = children;
+
+      evaluate = (noise, x, z) => {
+        const t = Math.max(0, Math.min(1, mask(noise, x, z)));
+
+        return low(noise, x, z) * (1 - t) + high(noise, x, z) * t;
+      };
+      break;
+    }
+  }
+
+  const weight = node.weight ?? 1;
+
+  return weight === 1 ? evaluate : (noise, x, z) => evaluate(noise, x, z) * weight;
+}
+
+const noiseGraphs = new Map();
+
+// Compiled graph of a JSON string, throws on graphs that can't be used
+export function compileNoiseGraph(json, source = 'simplex') {
+  const key = `${source}:${json}`;
+
+  if (!noiseGraphs.has(key)) {
+    noiseGraphs.set(key, compileNoiseNode(JSON.parse(json), source));
+    trimCache(noiseGraphs, 16);
+  }
+
+  return noiseGraphs.get(key);
+}
+
+// Height before normalizing, from the noise graph when there is one and
+// plain fBm otherwise
+function getBaseHeight(noise, config, noisePosition) {
+  if (!config.noiseGraph) return getNoiseHeight(noise, config, noisePosition);
+
+  return compileNoiseGraph(config.noiseGraph, config.noiseSource)(noise, noisePosition.x, noisePosition.z);
+}
+
+const HEIGHT_RANGE_SETTINGS = ['octaves', 'persistance', 'lacunarity', 'noiseSource', 'noiseGraph'];
+
+const heightRanges = new Map();
+
+// Narrower ranges come from graphs with a flat output, normalizing them
+// would divide by zero
+const HEIGHT_RANGE_EPSILON = 1e-9;
+
+// Chunks are generated in any order and on several workers, so heights are
+// normalized against a range sampled once on a fixed lattice instead of a
+// running min/max
+function getHeightRange(noise, config) {
+  const key = `${noise.seed},${getConfigKey(config, HEIGHT_RANGE_SETTINGS)}`;
+
+  if (heightRanges.has(key)) return heightRanges.get(key);
+
+  let min = Number.MAX_SAFE_INTEGER;
+  let max = Number.MIN_SAFE_INTEGER;
+
+  const samples = 64;
+
+  for (let z = 0; z < samples; z++) {
+    for (let x = 0; x < samples; x++) {
+      const height = getBaseHeight(noise, config, {
+        x: (x / samples) * 8 - 4,
+        z: (z / samples) * 8 - 4
+      });
+
+      if (height < min) min = height;
+      if (height > max) max = height;
+    }
+  }
+
+  const range = { min, max };
+
+  heightRanges.set(key, range);
+  trimCache(heightRanges, 16);
+
+  return range;
+}
+
+// Falloff curve going from 0 at the island centre to 1 at its border,
+// `curve` controls the steepness and `spread` how far the land reaches
+function evaluateFalloff(value, curve, spread) {
+  value = Math.max(0, Math.min(1, value));
+
+  return Math.pow(value, curve) / (Math.pow(value, curve) + Math.pow(spread - spread * value, curve));
+}
+
+// Square and radial islands fall off towards the edges, a mask draws them
+export const ISLAND_SHAPES = ['square', 'radial', 'mask'];
+
+const islandLayouts = new Map();
+
+// A single island fills the whole terrain, archipelagos scatter smaller
+// islands placed from the seed
+function getIslandLayout({ seed, islandCount }) {
+  const key = `${seed},${islandCount}`;
+
+  if (islandLayouts.has(key)) return islandLayouts.get(key);
+
+  const random = createRandom(seed);
+
+  const islands = islandCount <= 1
+    ? [{ x: 0, z: 0, radius: 1 }]
+    : Array.from({ length: islandCount }, () => ({
+      x: random() * 1.2 - 0.6,
+      z: random() * 1.2 - 0.6,
+      radius: 0.25 + random() * 0.3,
+    }));
+
+  islandLayouts.set(key, islands);
+  trimCache(islandLayouts, 16);
+
+  return islands;
+}
+
+// Falloff for a world position, spanning the whole `size × size` terrain
+// rather than each chunk, where 0 keeps the height and 1 sinks it
+export function getIslandFalloff(config, { x, z }) {
+  const terrainWidth = config.size * config.chunkSize;
+
+  // Terrain coordinates from -1 to 1
+  const u = (x + config.chunkSize / 2) / terrainWidth * 2 - 1;
+  const v = (z + config.chunkSize / 2) / terrainWidth * 2 - 1;
+
+  if (config.islandShape === 'mask' && config.islandMask) {
+    return 1 - sampleImage(config.islandMask, (u + 1) / 2, (v + 1) / 2);
+  }
+
+  let distance = Number.MAX_SAFE_INTEGER;
+
+  for (const island of getIslandLayout(config)) {
+    const dx = Math.abs(u - island.x) / island.radius;
+    const dz = Math.abs(v - island.z) / island.radius;
+
+    const value = config.islandShape === 'radial' ? Math.hypot(dx, dz) : Math.max(dx, dz);
+
+    if (value < distance) distance = value;
+  }
+
+  return evaluateFalloff(distance, config.islandCurve, config.islandSpread);
+}
+
+// Samples are taken at world positions so neighbouring chunks agree on the
+// heights of the vertices they share
+export function getWorldPosition(config, { x, z }, offset) {
+  const cellSize = getCellSize(config);
+
+  return {
+    x: offset.x - config.chunkSize / 2 + x * cellSize,
+    z: offset.z - config.chunkSize / 2 + z * cellSize
+  }
+}
+
+// Images cover the whole finite terrain, from 0 to 1 across it
+function getImagePosition(config, { x, z }) {
+  const terrainWidth = config.size * config.chunkSize;
+
+  return {
+    u: (x + config.chunkSize / 2) / terrainWidth,
+    v: (z + config.chunkSize / 2) / terrainWidth
+  }
+}
+
+export function getHeight(noise, config, { x, z }, offset) {
+  const terrainWidth = config.size * config.chunkSize;
+
+  const position = getWorldPosition(config, { x, z }, offset);
+
+  const noisePosition = {
+    x: position.x / terrainWidth,
+    z: position.z / terrainWidth
+  }
+
+  const { min, max } = getHeightRange(noise, config);
+
+  let height = max - min < HEIGHT_RANGE_EPSILON ? 0.5 : inverseLerp(min, max, getBaseHeight(noise, config, noisePosition));
+
+  // An imported heightmap with some of the noise mixed on top of it
+  if (config.heightmap && config.heightmapImage) {
+    const { u, v } = getImagePosition(config, position);
+
+    height += (sampleImage(config.heightmapImage, u, v) - height) * (1 - config.heightmapNoise);
+  }
+
+  // Dark parts of the mask flatten the terrain down into the water, only
+  // the bright parts keep their mountains
+  if (config.mask && config.maskImage) {
+    const { u, v } = getImagePosition(config, position);
+
+    height *= 1 - config.maskStrength * (1 - sampleImage(config.maskImage, u, v));
+  }
+
+  if (!config.islands) return height;
+
+  return Math.max(0, height - getIslandFalloff(config, position));
+}
+
+// Biomes
+function smoothstep(min, max, value) {
+  const t = Math.max(0, Math.min(1, (value - min) / (max - min)));
+
+  return t * t * (3 - 2 * t);
+}
+
+// Same conversion THREE.Color does for hex colours, vertex colours are linear
+function srgbToLinear(value) {
+  return value < 0.04045 ? value * 0.0773993808 : Math.pow(value * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+const parsedColors = new Map();
+
+export function parseColor(hex) {
+  if (parsedColors.has(hex)) return parsedColors.get(hex);
+
+  const value = parseInt(hex.replace('#', ''), 16);
+
+  const color = {
+    r: srgbToLinear((value >> 16 & 255) / 255),
+    g: srgbToLinear((value >> 8 & 255) / 255),
+    b: srgbToLinear((value & 255) / 255),
+  };
+
+  parsedColors.set(hex, color);
+
+  return color;
+}
+
+function mixColors(a, b, t) {
+  return {
+    r: a.r + (b.r - a.r) * t,
+    g: a.g + (b.g - a.g) * t,
+    b: a.b + (b.b - a.b) * t,
+  };
+}
+
+// Two extra noise layers, far away from the height samples, drive the climate.
+// Temperature also drops with altitude so peaks get colder biomes
+export function getClimate(noise, config, position, height) {
+  const terrainWidth = config.size * config.chunkSize;
+
+  const x = position.x / terrainWidth;
+  const z = position.z / terrainWidth;
+
+  const temperature = noise.get(x * config.temperatureScale + 1000, z * config.temperatureScale + 1000);
+  const moisture = noise.get(x * config.moistureScale - 1000, z * config.moistureScale - 1000);
+
+  return {
+    temperature: Math.max(0, temperature - Math.max(0, height - .5) * .5),
+    moisture,
+  };
+}
+
+function getRangeWeight(value, min, max, blend) {
+  const lower = min <= 0 ? 1 : smoothstep(min - blend, min + blend, value);
+  const upper = max >= 1 ? 1 : 1 - smoothstep(max - blend, max + blend, value);
+
+  return lower * upper;
+}
+
+// Colour for a height inside one biome, each ramp stop paints everything
+// below its height and fades into the next one over the last `blend`
+export function getRampColor({ ramp, blend }, height) {
+  for (let i = 0; i < ramp.length; i++) {
+    const stop = ramp[i];
+    const next = ramp[i + 1];
+
+    if (height >= stop.height && next) continue;
+
+    if (next && blend > 0 && height > stop.height - blend) {
+      return mixColors(parseColor(stop.color), parseColor(next.color), (height - (stop.height - blend)) / blend);
+    }
+
+    return parseColor(stop.color);
+  }
+}
+
+// How much each biome contributes to a climate, the weights add up to 1
+export function getBiomeWeights({ temperature, moisture }, biomes, biomeBlend) {
+  const weights = biomes.map(biome => getRangeWeight(temperature, biome.temperatureMin, biome.temperatureMax, biomeBlend)
+    * getRangeWeight(moisture, biome.moistureMin, biome.moistureMax, biomeBlend));
+
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  // Climate not covered by any biome falls back to the first one
+  if (total === 0) return biomes.map((biome, index) => index === 0 ? 1 : 0);
+
+  return weights.map(weight => weight / total);
+}
+
+export function getColor(height, climate, biomes, biomeBlend) {
+  const color = { r: 0, g: 0, b: 0 };
+
+  getBiomeWeights(climate, biomes, biomeBlend).forEach((weight, index) => {
+    if (weight <= 0) return;
+
+    const biomeColor = getRampColor(biomes[index], height);
+
+    color.r += biomeColor.r * weight;
+    color.g += biomeColor.g * weight;
+    color.b += biomeColor.b * weight;
+  });
+
+  return color;
+}
+
+// Erosion
+const EROSION = {
+  inertia: 0.05,
+  minCapacity: 0.0001,
+  deposit: 0.3,
+  erode: 0.3,
+  evaporate: 0.02,
+  gravity: 4,
+  lifetime: 30,
+};
+
+// Bilinear height and gradient of the grid at a fractional position
+function getGradient(grid, size, x, z) {
+  const ix = Math.floor(x);
+  const iz = Math.floor(z);
+  const fx = x - ix;
+  const fz = z - iz;
+
+  const index = iz * size + ix;
+
+  const nw = grid[index];
+  const ne = grid[index + 1];
+  const sw = grid[index + size];
+  const se = grid[index + size + 1];
+
+  return {
+    height: nw * (1 - fx) * (1 - fz) + ne * fx * (1 - fz) + sw * (1 - fx) * fz + se * fx * fz,
+    gx: (ne - nw) * (1 - fz) + (se - sw) * fz,
+    gz: (sw - nw) * (1 - fx) + (se - ne) * fx,
+  };
+}
+
+// Droplet based hydraulic erosion, each droplet runs downhill picking up
+// sediment while it speeds up and dropping it where it slows down
+function erodeHydraulic(grid, size, droplets, { sedimentCapacity }) {
+  for (const droplet of droplets) {
+    let { x, z } = droplet;
+    let dx = 0;
+    let dz = 0;
+    let speed = 1;
+    let water = 1;
+    let sediment = 0;
+
+    for (let life = 0; life < EROSION.lifetime; life++) {
+      const ix = Math.floor(x);
+      const iz = Math.floor(z);
+      const fx = x - ix;
+      const fz = z - iz;
+      const index = iz * size + ix;
+
+      const { height, gx, gz } = getGradient(grid, size, x, z);
+
+      dx = dx * EROSION.inertia - gx * (1 - EROSION.inertia);
+      dz = dz * EROSION.inertia - gz * (1 - EROSION.inertia);
+
+      const length = Math.hypot(dx, dz);
+
+      if (length === 0) break;
+
+      dx /= length;
+      dz /= length;
+      x += dx;
+      z += dz;
+
+      if (x < 0 || z < 0 || x >= size - 1 || z >= size - 1) break;
+
+      const deltaHeight = getGradient(grid, size, x, z).height - height;
+      const capacity = Math.max(-deltaHeight * speed * water * sedimentCapacity, EROSION.minCapacity);
+
+      const weights = [(1 - fx) * (1 - fz), fx * (1 - fz), (1 - fx) * fz, fx * fz];
+      const corners = [index, index + 1, index + size, index + size + 1];
+
+      if (sediment > capacity || deltaHeight > 0) {
+        // Fill the pit it just left when going uphill, otherwise drop the excess
+        const amount = deltaHeight > 0 ? Math.min(deltaHeight, sediment) : (sediment - capacity) * EROSION.deposit;
+
+        sediment -= amount;
+        corners.forEach((corner, i) => grid[corner] += amount * weights[i]);
+      } else {
+        const amount = Math.min((capacity - sediment) * EROSION.erode, -deltaHeight);
+
+        sediment += amount;
+        corners.forEach((corner, i) => grid[corner] -= amount * weights[i]);
+      }
+
+      speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * EROSION.gravity));
+      water *= 1 - EROSION.evaporate;
+    }
+  }
+}
+
+// Thermal erosion slides material down any slope steeper than the talus angle
+function erodeThermal(grid, size, iterations, talus) {
+  const neighbours = [-1, 1, -size, size];
+
+  for (let i = 0; i < iterations; i++) {
+    for (let z = 1; z < size - 1; z++) {
+      for (let x = 1; x < size - 1; x++) {
+        const index = z * size + x;
+
+        let lowest = index;
+        let difference = 0;
+
+        for (const neighbour of neighbours) {
+          const value = grid[index] - grid[index + neighbour];
+
+          if (value > difference) {
+            difference = value;
+            lowest = index + neighbour;
+          }
+        }
+
+        if (difference <= talus) continue;
+
+        const amount = (difference - talus) / 4;
+
+        grid[index] -= amount;
+        grid[lowest] += amount;
+      }
+    }
+  }
+}
+
+// Erosion runs on tiles that overlap each chunk by a margin on every side.
+// Droplets are spawned per world cell so overlapping tiles see the same rain
+function getErosionMargin(config) {
+  return Math.max(2, Math.min(8, Math.floor((getGridSize(config) - 1) / 2)));
+}
+
+// Fingerprint of an image so tiles get rebuilt when one is replaced, worked
+// out once per image every job brings along
+const imageKeys = new WeakMap();
+
+function getImageKey(image) {
+  if (!image) return null;
+
+  if (!imageKeys.has(image)) {
+    let hash = 0;
+
+    for (let i = 0; i < image.data.length; i++) hash = (hash * 31 + Math.round(image.data[i] * 255)) | 0;
+
+    imageKeys.set(image, `${image.width}x${image.height}:${hash}`);
+  }
+
+  return imageKeys.get(image);
+}
+
+// The settings and images a cached tile is built from as one string, worked
+// out once per config every job brings along rather than for every vertex
+const configKeys = new WeakMap();
+
+function getConfigKey(config, settings) {
+  if (!configKeys.has(config)) configKeys.set(config, new Map());
+
+  const keys = configKeys.get(config);
+
+  if (!keys.has(settings)) {
+    keys.set(settings, JSON.stringify([
+      ...settings.map(setting => config[setting]),
+      getImageKey(config.islandMask), getImageKey(config.heightmapImage), getImageKey(config.maskImage),
+    ]));
+  }
+
+  return keys.get(settings);
+}
+
+const EROSION_SETTINGS = ['seed', 'size', 'chunkSize', 'resolution', 'octaves', 'persistance', 'lacunarity', 'noiseSource', 'noiseGraph',
+  'islands', 'islandShape', 'islandCount', 'islandCurve', 'islandSpread', 'heightmap', 'heightmapNoise', 'mask', 'maskStrength',
+  'erosionIterations', 'erosionRain', 'sedimentCapacity', 'thermalIterations', 'talusAngle', 'heightMultiplier'];
+
+const erosionTiles = new Map();
+
+function getErosionTile(noise, config, chunkX, chunkZ) {
+  const key = `${chunkX},${chunkZ},${getConfigKey(config, EROSION_SETTINGS)}`;
+
+  if (erosionTiles.has(key)) return erosionTiles.get(key);
+
+  const length = getGridSize(config) - 1;
+  const margin = getErosionMargin(config);
+  const size = length + 2 * margin + 1;
+  const offset = { x: chunkX * config.chunkSize, z: chunkZ * config.chunkSize };
+
+  const grid = new Float32Array(size * size);
+
+  for (let z = 0; z < size; z++) {
+    for (let x = 0; x < size; x++) {
+      grid[z * size + x] = getHeight(noise, config, { x: x - margin, z: z - margin }, offset);
+    }
+  }
+
+  for (let pass = 0; pass < config.erosionIterations; pass++) {
+    const droplets = [];
+
+    for (let z = 0; z < size - 1; z++) {
+      for (let x = 0; x < size - 1; x++) {
+        const random = createRandom(hashCell(config.seed, chunkX * length + x - margin, chunkZ * length + z - margin, pass));
+
+        const count = Math.floor(config.erosionRain) + (random() < config.erosionRain % 1 ? 1 : 0);
+
+        for (let i = 0; i < count; i++) droplets.push({ x: x + random(), z: z + random() });
+      }
+    }
+
+    erodeHydraulic(grid, size, droplets, config);
+  }
+
+  const talus = Math.tan(config.talusAngle * Math.PI / 180) * getCellSize(config) / config.heightMultiplier;
+
+  erodeThermal(grid, size, config.thermalIterations, talus);
+
+  // Workers keep only the tiles around the last few chunks they built
+  erosionTiles.set(key, grid);
+  trimCache(erosionTiles, 32);
+
+  return grid;
+}
+
+// Tent weights that fade each tile out over its margin, the weights of the
+// overlapping tiles always add up to 1 so shared chunk edges match exactly
+function getTileWeight(value, length, margin) {
+  return Math.max(0, Math.min(1, (value + margin) / (2 * margin), (length + margin - value) / (2 * margin)));
+}
+
+export function getErodedHeight(noise, config, { x, z }, offset) {
+  const length = getGridSize(config) - 1;
+  const margin = getErosionMargin(config);
+  const size = length + 2 * margin + 1;
+
+  const chunkX = Math.round(offset.x / config.chunkSize);
+  const chunkZ = Math.round(offset.z / config.chunkSize);
+
+  let height = 0;
+
+  for (let dz = -1; dz <= 1; dz++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      const u = x - dx * length;
+      const v = z - dz * length;
+
+      const weight = getTileWeight(u, length, margin) * getTileWeight(v, length, margin);
+
+      if (weight <= 0) continue;
+
+      const tile = getErosionTile(noise, config, chunkX + dx, chunkZ + dz);
+
+      height += tile[(v + margin) * size + u + margin] * weight;
+    }
+  }
+
+  return Math.max(0, Math.min(1, height));
+}
+
+// Hydrology
+// Rivers and lakes are worked out over regions of chunks, the whole terrain
+// when it's finite and blocks of `regionChunks` chunks when it's infinite.
+// Infinite regions also flood `marginChunks` chunks into their neighbours, so
+// rivers have a catchment on both sides of a region border and run on across
+// it. Every vertex takes its water from the one region it belongs to
+const HYDROLOGY = {
+  regionChunks: 4,
+  marginChunks: 2,
+  // Added per step when filling depressions, so water always has somewhere to run
+  epsilon: 1e-6,
+  // Shallower filled ground is just wet, not part of a lake
+  lakeDepth: 0.001,
+  // Rivers stop widening and deepening at this many times the threshold flow
+  maxScale: 4,
+};
+
+// Neighbours along the edges of the terrain triangles, so rivers only run
+// over edges the mesh really has
+const FLOW_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, -1], [-1, 1]];
+
+// Binary min-heap of grid indices ordered by their level
+function pushCell(heap, levels, index) {
+  let i = heap.length;
+
+  heap.push(index);
+
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+
+    if (levels[heap[parent]] <= levels[index]) break;
+
+    heap[i] = heap[parent];
+    i = parent;
+  }
+
+  heap[i] = index;
+}
+
+function popCell(heap, levels) {
+  const top = heap[0];
+  const last = heap.pop();
+
+  if (!heap.length) return top;
+
+  let i = 0;
+
+  while (true) {
+    let child = i * 2 + 1;
+
+    if (child >= heap.length) break;
+    if (child + 1 < heap.length && levels[heap[child + 1]] < levels[heap[child]]) child++;
+    if (levels[heap[child]] >= levels[last]) break;
+
+    heap[i] = heap[child];
+    i = child;
+  }
+
+  heap[i] = last;
+
+  return top;
+}
+
+function getRegionCells(config) {
+  return (config.infinite ? HYDROLOGY.regionChunks : config.size) * (getGridSize(config) - 1);
+}
+
+function getRegionMargin(config) {
+  return config.infinite ? HYDROLOGY.marginChunks * (getGridSize(config) - 1) : 0;
+}
+
+// Enough regions for every chunk the view keeps loaded, which reaches one
+// chunk past the view distance
+function getRegionCapacity(config) {
+  const across = Math.ceil((config.viewDistance * 2 + 3) / HYDROLOGY.regionChunks) + 1;
+
+  return config.infinite ? across * across : 1;
+}
+
+// Height of a vertex in world grid coordinates, where chunk (0, 0) starts at (0, 0)
+function getGroundHeight(noise, config, x, z) {
+  const length = getGridSize(config) - 1;
+
+  const chunkX = Math.floor(x / length);
+  const chunkZ = Math.floor(z / length);
+  const offset = { x: chunkX * config.chunkSize, z: chunkZ * config.chunkSize };
+
+  return (config.erosion ? getErodedHeight : getHeight)(noise, config, { x: x - chunkX * length, z: z - chunkZ * length }, offset);
+}
+
+const HYDROLOGY_SETTINGS = [...EROSION_SETTINGS, 'infinite', 'erosion', 'riverThreshold', 'riverWidth', 'riverDepth'];
+
+const hydrologyRegions = new Map();
+
+function getHydrologyRegion(noise, config, regionX, regionZ) {
+  const key = `${regionX},${regionZ},${getConfigKey(config, HYDROLOGY_SETTINGS)}`;
+
+  // Used regions move to the back, so the least recently used one goes first
+  if (hydrologyRegions.has(key)) {
+    const region = hydrologyRegions.get(key);
+
+    hydrologyRegions.delete(key);
+    hydrologyRegions.set(key, region);
+
+    return region;
+  }
+
+  const margin = getRegionMargin(config);
+  const originX = regionX * getRegionCells(config) - margin;
+  const originZ = regionZ * getRegionCells(config) - margin;
+  const cells = getRegionCells(config) + margin * 2;
+  const size = cells + 1;
+  const cellSize = getCellSize(config);
+
+  const ground = new Float32Array(size * size);
+
+  for (let z = 0; z < size; z++) {
+    for (let x = 0; x < size; x++) {
+      ground[z * size + x] = getGroundHeight(noise, config, originX + x, originZ + z);
+    }
+  }
+
+  // Priority flood: water comes in over the edges and climbs inwards, filling
+  // every depression up to where it spills. Each vertex drains into the one it
+  // was reached from
+  const levels = new Float32Array(size * size);
+  const receivers = new Int32Array(size * size).fill(-1);
+  const visited = new Uint8Array(size * size);
+  const order = [];
+  const heap = [];
+
+  for (let z = 0; z < size; z++) {
+    for (let x = 0; x < size; x++) {
+      if (x > 0 && z > 0 && x < cells && z < cells) continue;
+
+      const index = z * size + x;
+
+      levels[index] = ground[index];
+      visited[index] = 1;
+      pushCell(heap, levels, index);
+    }
+  }
+
+  while (heap.length) {
+    const index = popCell(heap, levels);
+    const x = index % size;
+    const z = (index - x) / size;
+
+    order.push(index);
+
+    for (const [dx, dz] of FLOW_DIRECTIONS) {
+      if (x + dx < 0 || z + dz < 0 || x + dx > cells || z + dz > cells) continue;
+
+      const neighbour = (z + dz) * size + x + dx;
+
+      if (visited[neighbour]) continue;
+
+      visited[neighbour] = 1;
+      levels[neighbour] = Math.max(ground[neighbour], levels[index] + HYDROLOGY.epsilon);
+      receivers[neighbour] = index;
+      pushCell(heap, levels, neighbour);
+    }
+  }
+
+  // Every vertex collects the rain on one cell and passes it on downhill,
+  // highest first. The biggest flow coming in is the river's main course
+  const flow = new Float32Array(size * size);
+  const upstream = new Int32Array(size * size).fill(-1);
+
+  for (let i = order.length - 1; i >= 0; i--) {
+    const index = order[i];
+    const receiver = receivers[index];
+
+    flow[index] += cellSize * cellSize;
+
+    if (receiver < 0) continue;
+
+    flow[receiver] += flow[index];
+
+    if (upstream[receiver] < 0 || flow[index] > flow[upstream[receiver]]) upstream[receiver] = index;
+  }
+
+  const threshold = config.riverThreshold * config.chunkSize * config.chunkSize;
+  const isInside = (x, z) => x > 0 && z > 0 && x < cells && z < cells;
+
+  // Depressions only fill into lakes when a river's worth of water runs
+  // through them, the rest are puddles that dry up
+  const flooded = new Uint8Array(size * size);
+
+  for (let z = 1; z < cells; z++) {
+    for (let x = 1; x < cells; x++) {
+      const start = z * size + x;
+
+      if (flooded[start] || levels[start] - ground[start] <= HYDROLOGY.lakeDepth) continue;
+
+      const lake = [start];
+      let inflow = 0;
+
+      flooded[start] = 1;
+
+      for (let i = 0; i < lake.length; i++) {
+        const index = lake[i];
+        const lakeX = index % size;
+        const lakeZ = (index - lakeX) / size;
+
+        inflow = Math.max(inflow, flow[index]);
+
+        for (let dz = -1; dz <= 1; dz++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const neighbour = (lakeZ + dz) * size + lakeX + dx;
+
+            if (!isInside(lakeX + dx, lakeZ + dz) || flooded[neighbour] || levels[neighbour] - ground[neighbour] <= HYDROLOGY.lakeDepth) continue;
+
+            flooded[neighbour] = 1;
+            lake.push(neighbour);
+          }
+        }
+      }
+
+      // Marked 2 when it stays a lake
+      if (inflow >= threshold) lake.forEach(index => flooded[index] = 2);
+    }
+  }
+
+  const isLake = index => flooded[index] === 2;
+
+  // Channels are carved a bit wider than the river, deepest in the middle
+  const carve = new Float32Array(size * size);
+
+  for (let z = 1; z < cells; z++) {
+    for (let x = 1; x < cells; x++) {
+      const index = z * size + x;
+
+      if (flow[index] < threshold || isLake(index)) continue;
+
+      const scale = Math.min(HYDROLOGY.maxScale, Math.sqrt(flow[index] / threshold));
+      const radius = config.riverWidth * scale * 0.75;
+      const reach = Math.floor(radius / cellSize);
+
+      for (let dz = -reach; dz <= reach; dz++) {
+        for (let dx = -reach; dx <= reach; dx++) {
+          const distance = Math.hypot(dx, dz) * cellSize;
+
+          if (!isInside(x + dx, z + dz) || (distance > 0 && distance >= radius)) continue;
+
+          const neighbour = (z + dz) * size + x + dx;
+          const bed = levels[index] - config.riverDepth * scale * (1 - (distance / radius) ** 2);
+
+          carve[neighbour] = Math.min(carve[neighbour], bed - ground[neighbour]);
+        }
+      }
+    }
+  }
+
+  // Lakes reach one vertex past their edge so the water meets the shore
+  const lakes = new Float32Array(size * size).fill(-1);
+
+  for (let z = 1; z < cells; z++) {
+    for (let x = 1; x < cells; x++) {
+      const index = z * size + x;
+
+      if (isLake(index)) {
+        lakes[index] = levels[index];
+
+        continue;
+      }
+
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const neighbour = (z + dz) * size + x + dx;
+
+          if (isLake(neighbour)) lakes[index] = Math.max(lakes[index], levels[neighbour]);
+        }
+      }
+    }
+  }
+
+  const region = { originX, originZ, size, threshold, ground, levels, receivers, upstream, flow, carve, lakes, isLake };
+
+  hydrologyRegions.set(key, region);
+
+  trimCache(hydrologyRegions, getRegionCapacity(config));
+
+  return region;
+}
+
+// Region and index of a vertex in world grid coordinates, null on the edges
+// of a finite terrain and outside it where there's no hydrology
+function locateHydrology(noise, config, x, z) {
+  const cells = getRegionCells(config);
+
+  if (!config.infinite && (x <= 0 || z <= 0 || x >= cells || z >= cells)) return null;
+
+  const region = getHydrologyRegion(noise, config, Math.floor(x / cells), Math.floor(z / cells));
+
+  return { region, index: (z - region.originZ) * region.size + x - region.originX };
+}
+
+function isWet(noise, config, x, z) {
+  const cell = locateHydrology(noise, config, x, z);
+
+  return cell !== null && (cell.region.carve[cell.index] < 0 || cell.region.lakes[cell.index] >= 0);
+}
+
+// Lake sheets and river ribbons of a chunk in chunk space, `depths` is the
+// water depth under each vertex for the water shader
+function buildFreshwater(noise, config, offset, heights) {
+  const gridSize = getGridSize(config);
+  const cellSize = getCellSize(config);
+  const length = gridSize - 1;
+
+  const chunkX = Math.round(offset.x / config.chunkSize);
+  const chunkZ = Math.round(offset.z / config.chunkSize);
+
+  const positions = [];
+  const depths = [];
+  const indices = [];
+
+  const addVertex = (x, z, level, depth) => {
+    positions.push(x * cellSize - config.chunkSize / 2, getSurfaceHeight(level, config.heightMultiplier), z * cellSize - config.chunkSize / 2);
+    depths.push(Math.max(0, depth) * config.heightMultiplier);
+
+    return depths.length - 1;
+  };
+
+  // Lakes, over every cell flooded on all four corners
+  const lakeVertices = new Int32Array(gridSize * gridSize).fill(-1);
+
+  for (let z = 0; z < gridSize; z++) {
+    for (let x = 0; x < gridSize; x++) {
+      const cell = locateHydrology(noise, config, chunkX * length + x, chunkZ * length + z);
+      const level = cell ? cell.region.lakes[cell.index] : -1;
+
+      if (level >= 0) lakeVertices[z * gridSize + x] = addVertex(x, z, level, level - heights[z * gridSize + x]);
+    }
+  }
+
+  for (let z = 0; z < length; z++) {
+    for (let x = 0; x < length; x++) {
+      const a = lakeVertices[z * gridSize + x];
+      const b = lakeVertices[z * gridSize + x + 1];
+      const c = lakeVertices[(z + 1) * gridSize + x];
+      const d = lakeVertices[(z + 1) * gridSize + x + 1];
+
+      if (a >= 0 && b >= 0 && c >= 0 && d >= 0) indices.push(a, c, b, b, c, d);
+    }
+  }
+
+  // Rivers, one strip from each vertex this chunk owns to the one it drains
+  // into. Both ends are placed from the region each vertex belongs to, so
+  // strips that cross into the next chunk or region join the ones built there.
+  // The edges of a finite terrain belong to no region but still end rivers
+  const getNode = cell => {
+    const worldX = cell.region.originX + cell.index % cell.region.size;
+    const worldZ = cell.region.originZ + Math.floor(cell.index / cell.region.size);
+    const { region, index } = locateHydrology(noise, config, worldX, worldZ) ?? cell;
+    const position = i => [i % region.size, Math.floor(i / region.size)];
+
+    // Along the river, out to the receiver and in from the main course
+    const direction = [0, 0];
+
+    [[index, region.receivers[index]], [region.upstream[index], index]].forEach(([from, to]) => {
+      if (from < 0 || to < 0) return;
+
+      const [fromX, fromZ] = position(from);
+      const [toX, toZ] = position(to);
+      const distance = Math.hypot(toX - fromX, toZ - fromZ);
+
+      direction[0] += (toX - fromX) / distance;
+      direction[1] += (toZ - fromZ) / distance;
+    });
+
+    const scale = Math.min(HYDROLOGY.maxScale, Math.sqrt(region.flow[index] / region.threshold));
+    const halfWidth = config.riverWidth * scale / 2 / cellSize / (Math.hypot(...direction) || 1);
+
+    return {
+      x: worldX - chunkX * length,
+      z: worldZ - chunkZ * length,
+      level: region.levels[index],
+      depth: region.levels[index] - region.ground[index] - region.carve[index],
+      side: [-direction[1] * halfWidth, direction[0] * halfWidth],
+    };
+  };
+
+  for (let z = 0; z < length; z++) {
+    for (let x = 0; x < length; x++) {
+      const cell = locateHydrology(noise, config, chunkX * length + x, chunkZ * length + z);
+
+      if (!cell) continue;
+
+      const { region, index } = cell;
+      const receiver = region.receivers[index];
+
+      if (region.flow[index] < region.threshold || region.isLake(index) || receiver < 0) continue;
+
+      const [from, to] = [getNode(cell), getNode({ region, index: receiver })].map(node => [
+        addVertex(node.x + node.side[0], node.z + node.side[1], node.level, 0),
+        addVertex(node.x, node.z, node.level, node.depth),
+        addVertex(node.x - node.side[0], node.z - node.side[1], node.level, 0),
+      ]);
+
+      indices.push(
+        from[0], to[0], from[1], from[1], to[0], to[1],
+        from[1], to[1], from[2], from[2], to[1], to[2]
+      );
+    }
+  }
+
+  return { positions: new Float32Array(positions), depths: new Float32Array(depths), indices: new Uint32Array(indices) };
+}
+
+// Volume
+// Volumetric chunks are built from a 3D density, solid where it's positive.
+// The ground is the heightfield pushed around by 3D noise into overhangs and
+// arches, with tunnels cut where two noise fields are both close to zero.
+// The mesh comes from surface nets: one vertex inside every cell the surface
+// crosses and one quad for every grid edge it crosses
+const VOLUME = {
+  overhangOctaves: 2,
+  rockColor: '#696969',
+};
+
+// The heightfield around a chunk is sampled this many vertices past its
+// edges, enough for the cells and gradients the mesh shares with its neighbours
+const VOLUME_PADDING = 2;
+
+// Density at a world position, `height` is the heightfield below it from 0 to 1
+function getDensity(noise, config, x, y, z, height) {
+  const { heightMultiplier, overhangStrength, overhangScale, caveScale, caveWidth } = config;
+
+  let density = height - y / heightMultiplier;
+
+  let amplitude = overhangStrength;
+  let frequency = 1 / overhangScale;
+
+  for (let octave = 0; octave < VOLUME.overhangOctaves; octave++) {
+    density += noise.sample(x * frequency, z * frequency, 'simplex3', y * frequency + octave * 100) * amplitude;
+
+    amplitude /= 2;
+    frequency *= 2;
+  }
+
+  if (caveWidth > 0) {
+    const tunnel = Math.max(
+      Math.abs(noise.sample(x / caveScale, z / caveScale, 'simplex3', y / caveScale + 500)),
+      Math.abs(noise.sample(x / caveScale, z / caveScale, 'simplex3', y / caveScale + 1000))
+    );
+
+    density = Math.min(density, tunnel - caveWidth);
+  }
+
+  return density;
+}
+
+// Vertical layers of the density grid, one cell below the seabed up to the
+// highest the noise can lift the ground. The octaves add up to less than
+// twice the strength
+function getVolumeLayers(config) {
+  const cellSize = getCellSize(config);
+
+  return Math.ceil(config.heightMultiplier * (1 + config.overhangStrength * 2) / cellSize) + 3;
+}
+
+function getLayerHeight(config, layer) {
+  return (layer - 1) * getCellSize(config);
+}
+
+// Highest solid point above a position on the heightfield, where scattered
+// objects stand in volumetric chunks
+function getVolumeSurface(noise, config, { x, z }, height) {
+  const cellSize = getCellSize(config);
+  const step = cellSize / 2;
+
+  let above = getDensity(noise, config, x, getLayerHeight(config, getVolumeLayers(config) - 1), z, height);
+
+  for (let y = getLayerHeight(config, getVolumeLayers(config) - 1) - step; y > -cellSize; y -= step) {
+    const density = getDensity(noise, config, x, y, z, height);
+
+    if (density > 0) return y + step * density / (density - above);
+
+    above = density;
+  }
+
+  return 0;
+}
+
+// Mesh of a volumetric chunk in chunk space. `samples` is the heightfield
+// padded by VOLUME_PADDING vertices on every side
+function buildVolume(noise, config, offset, samples) {
+  const gridSize = getGridSize(config);
+  const cellSize = getCellSize(config);
+  const length = gridSize - 1;
+  const layers = getVolumeLayers(config);
+
+  const chunkX = Math.round(offset.x / config.chunkSize);
+  const chunkZ = Math.round(offset.z / config.chunkSize);
+
+  // Density lattice from x, z = -2 to length + 1, only its inner part gets cells
+  const size = gridSize + 2 * VOLUME_PADDING;
+  const density = new Float32Array(size * size * layers);
+
+  const at = (x, y, z) => ((z + VOLUME_PADDING) * size + x + VOLUME_PADDING) * layers + y;
+
+  for (let z = -VOLUME_PADDING; z < size - VOLUME_PADDING; z++) {
+    for (let x = -VOLUME_PADDING; x < size - VOLUME_PADDING; x++) {
+      // From world grid coordinates so neighbours give the 3D noise the exact
+      // same numbers, it jumps slightly across its simplex borders
+      const worldX = (chunkX * length + x) * cellSize - config.chunkSize / 2;
+      const worldZ = (chunkZ * length + z) * cellSize - config.chunkSize / 2;
+      const height = samples[(z + VOLUME_PADDING) * size + x + VOLUME_PADDING];
+
+      for (let y = 0; y < layers; y++) {
+        // Closed below the seabed and open above the highest ground
+        if (y === 0) density[at(x, y, z)] = 1;
+        else if (y === layers - 1) density[at(x, y, z)] = -1;
+        else density[at(x, y, z)] = getDensity(noise, config, worldX, getLayerHeight(config, y), worldZ, height);
+      }
+    }
+  }
+
+  // Downhill density gradient at a lattice point, pointing out of the ground
+  const getGradient = (x, y, z) => {
+    const below = Math.max(0, y - 1);
+    const above = Math.min(layers - 1, y + 1);
+
+    return [
+      density[at(x - 1, y, z)] - density[at(x + 1, y, z)],
+      (density[at(x, below, z)] - density[at(x, above, z)]) * 2 / (above - below),
+      density[at(x, y, z - 1)] - density[at(x, y, z + 1)],
+    ];
+  };
+
+  const positions = [];
+  const normals = [];
+  const colors = [];
+  const indices = [];
+
+  // Vertex of every crossed cell, cells from -1 to length - 1 so quads on the
+  // chunk edges can reach into the neighbour's first row
+  const cells = size - VOLUME_PADDING;
+  const vertices = new Int32Array(cells * cells * layers).fill(-1);
+
+  const cellAt = (x, y, z) => ((z + 1) * cells + x + 1) * layers + y;
+
+  const corners = [];
+  for (let i = 0; i < 8; i++) corners.push([i & 1, (i >> 1) & 1, (i >> 2) & 1]);
+
+  const edges = [];
+  for (let i = 0; i < 8; i++) {
+    for (const bit of [1, 2, 4]) if (!(i & bit)) edges.push([i, i | bit]);
+  }
+
+  for (let z = -1; z < length; z++) {
+    for (let y = 0; y < layers - 1; y++) {
+      for (let x = -1; x < length; x++) {
+        const values = corners.map(([dx, dy, dz]) => density[at(x + dx, y + dy, z + dz)]);
+
+        const crossings = edges.filter(([a, b]) => values[a] > 0 !== values[b] > 0);
+
+        if (!crossings.length) continue;
+
+        // Average of the points where the surface crosses the cell edges
+        const point = [0, 0, 0];
+
+        crossings.forEach(([a, b]) => {
+          const t = values[a] / (values[a] - values[b]);
+
+          for (let axis = 0; axis < 3; axis++) point[axis] += corners[a][axis] + (corners[b][axis] - corners[a][axis]) * t;
+        });
+
+        const [px, py, pz] = point.map(value => value / crossings.length);
+
+        // Gradient blended from the cell corners
+        const normal = [0, 0, 0];
+
+        corners.forEach(([dx, dy, dz]) => {
+          const weight = (dx ? px : 1 - px) * (dy ? py : 1 - py) * (dz ? pz : 1 - pz);
+          const gradient = getGradient(x + dx, y + dy, z + dz);
+
+          for (let axis = 0; axis < 3; axis++) normal[axis] += gradient[axis] * weight;
+        });
+
+        const normalLength = Math.hypot(...normal) || 1;
+        const [nx, ny, nz] = normal.map(value => value / normalLength);
+
+        const localX = (x + px) * cellSize - config.chunkSize / 2;
+        const localY = getLayerHeight(config, y + py);
+        const localZ = (z + pz) * cellSize - config.chunkSize / 2;
+
+        // Biome colour by height, rock on cliffs, overhangs and cave walls
+        const height = Math.max(0, Math.min(1, localY / config.heightMultiplier));
+        const position = { x: offset.x + localX, z: offset.z + localZ };
+        const color = mixColors(
+          getColor(height, getClimate(noise, config, position, height), config.biomes, config.biomeBlend),
+          parseColor(VOLUME.rockColor),
+          1 - smoothstep(0.4, 0.7, ny)
+        );
+
+        vertices[cellAt(x, y, z)] = positions.length / 3;
+
+        positions.push(localX, localY, localZ);
+        normals.push(nx, ny, nz);
+        colors.push(color.r, color.g, color.b);
+      }
+    }
+  }
+
+  // Quads for the edges starting on this chunk's vertices, the last row and
+  // column belong to the next chunk. Each quad joins the four cells around
+  // its edge, listed so it faces along the edge, and is turned around when
+  // the ground is on the far end. The bottom layer is solid so only its
+  // vertical edges can cross the surface
+  const addQuad = (a, b, c, d, solid) => {
+    if (solid) indices.push(a, b, c, a, c, d);
+    else indices.push(a, c, b, a, d, c);
+  };
+
+  for (let z = 0; z < length; z++) {
+    for (let y = 0; y < layers - 1; y++) {
+      for (let x = 0; x < length; x++) {
+        const solid = density[at(x, y, z)] > 0;
+
+        if (solid !== density[at(x + 1, y, z)] > 0) {
+          addQuad(vertices[cellAt(x, y - 1, z - 1)], vertices[cellAt(x, y, z - 1)], vertices[cellAt(x, y, z)], vertices[cellAt(x, y - 1, z)], solid);
+        }
+
+        if (solid !== density[at(x, y + 1, z)] > 0) {
+          addQuad(vertices[cellAt(x - 1, y, z - 1)], vertices[cellAt(x - 1, y, z)], vertices[cellAt(x, y, z)], vertices[cellAt(x, y, z - 1)], solid);
+        }
+
+        if (solid !== density[at(x, y, z + 1)] > 0) {
+          addQuad(vertices[cellAt(x - 1, y - 1, z)], vertices[cellAt(x, y - 1, z)], vertices[cellAt(x, y, z)], vertices[cellAt(x - 1, y, z)], solid);
+        }
+      }
+    }
+  }
+
+  return {
+    positions: new Float32Array(positions),
+    normals: new Float32Array(normals),
+    colors: new Float32Array(colors),
+    indices: new Uint32Array(indices),
+  };
+}
+
+// Lookup of the highest point of a volume mesh over a position in chunk
+// space, with the upward normal of the triangle it's on, or null where no
+// triangle covers it. Triangles are listed under every grid cell their
+// bounds touch, so each lookup only tests a few of them
+export function createVolumeLookup(config, { positions, indices }) {
+  const cellSize = getCellSize(config);
+
+  // The mesh reaches into a cell past the chunk on every side
+  const cells = getGridSize(config) + 2;
+  const triangles = Array.from({ length: cells * cells }, () => []);
+
+  const getCell = value => Math.floor((value + config.chunkSize / 2) / cellSize) + 1;
+  const clamp = cell => Math.max(0, Math.min(cells - 1, cell));
+
+  for (let i = 0; i < indices.length; i += 3) {
+    const xs = [indices[i], indices[i + 1], indices[i + 2]].map(index => positions[index * 3]);
+    const zs = [indices[i], indices[i + 1], indices[i + 2]].map(index => positions[index * 3 + 2]);
+
+    for (let z = clamp(getCell(Math.min(...zs))); z <= clamp(getCell(Math.max(...zs))); z++) {
+      for (let x = clamp(getCell(Math.min(...xs))); x <= clamp(getCell(Math.max(...xs))); x++) triangles[z * cells + x].push(i);
+    }
+  }
+
+  return (x, z) => {
+    const cellX = getCell(x);
+    const cellZ = getCell(z);
+
+    if (cellX < 0 || cellZ < 0 || cellX >= cells || cellZ >= cells) return null;
+
+    let top = null;
+
+    for (const i of triangles[cellZ * cells + cellX]) {
+      const [a, b, c] = [indices[i] * 3, indices[i + 1] * 3, indices[i + 2] * 3];
+
+      const abX = positions[b] - positions[a];
+      const abZ = positions[b + 2] - positions[a + 2];
+      const acX = positions[c] - positions[a];
+      const acZ = positions[c + 2] - positions[a + 2];
+      const area = abX * acZ - abZ * acX;
+
+      // Walls have no area from above
+      if (Math.abs(area) < 1e-9) continue;
+
+      // Barycentric weights of b and c, with a bit of slack for points right on an edge
+      const u = ((x - positions[a]) * acZ - (z - positions[a + 2]) * acX) / area;
+      const v = ((z - positions[a + 2]) * abX - (x - positions[a]) * abZ) / area;
+
+      if (u < -1e-6 || v < -1e-6 || u + v > 1 + 1e-6) continue;
+
+      const abY = positions[b + 1] - positions[a + 1];
+      const acY = positions[c + 1] - positions[a + 1];
+      const height = positions[a + 1] + abY * u + acY * v;
+
+      if (top && height <= top.height) continue;
+
+      const normal = [abY * acZ - abZ * acY, abZ * acX - abX * acZ, abX * acY - abY * acX];
+      const length = Math.hypot(...normal) * Math.sign(normal[1]);
+
+      top = { height, normal: normal.map(value => value / length) };
+    }
+
+    return top;
+  };
+}
+
+// Scattering
+// Candidates per chunk at density 1, each one is kept with the probability
+// its biome gives to the category and only on ground flat enough for it
+export const SCATTER_CATEGORIES = {
+  trees: { density: 'treeDensity', count: 160, minHeight: .5, maxHeight: .85, minNormal: .85, scale: [10, 18] },
+  bushes: { density: 'bushDensity', count: 200, minHeight: .48, maxHeight: .85, minNormal: .8, scale: [3, 6] },
+  grass: { density: 'grassDensity', count: 1200, minHeight: .48, maxHeight: .8, minNormal: .9, scale: [1.5, 3] },
+  rocks: { density: 'rockDensity', count: 60, minHeight: .4, maxHeight: 1, minNormal: .5, scale: [3, 9] },
+};
+
+// Places the instances of every category on a chunk, packed as
+// [x, y, z, scale, rotation] in chunk space
+function scatterChunk(noise, config, offset, heights, normals) {
+  const gridSize = getGridSize(config);
+  const cellSize = getCellSize(config);
+
+  const chunkX = Math.round(offset.x / config.chunkSize);
+  const chunkZ = Math.round(offset.z / config.chunkSize);
+
+  const scatter = {};
+
+  Object.entries(SCATTER_CATEGORIES).forEach(([category, rules], categoryIndex) => {
+    const random = createRandom(hashCell(config.seed, chunkX, chunkZ, categoryIndex));
+    const count = Math.round(rules.count * config[rules.density]);
+
+    const instances = [];
+
+    for (let i = 0; i < count; i++) {
+      // Always draw the same numbers per candidate so placement never shifts
+      const x = random() * (gridSize - 1);
+      const z = random() * (gridSize - 1);
+      const chance = random();
+      const scale = rules.scale[0] + random() * (rules.scale[1] - rules.scale[0]);
+      const rotation = random() * Math.PI * 2;
+
+      const { height } = getGradient(heights, gridSize, x, z);
+      const normalY = normals[(Math.round(z) * gridSize + Math.round(x)) * 3 + 1];
+
+      if (height < rules.minHeight || height > rules.maxHeight || normalY < rules.minNormal) continue;
+
+      // Nothing grows in rivers and lakes
+      if (config.rivers && isWet(noise, config, chunkX * (gridSize - 1) + Math.round(x), chunkZ * (gridSize - 1) + Math.round(z))) continue;
+
+      const position = getWorldPosition(config, { x, z }, offset);
+      const climate = getClimate(noise, config, position, height);
+      const weights = getBiomeWeights(climate, config.biomes, config.biomeBlend);
+
+      const density = weights.reduce((sum, weight, index) => sum + weight * config.biomes[index].vegetation[category], 0);
+
+      if (chance >= density) continue;
+
+      instances.push(
+        x * cellSize - config.chunkSize / 2,
+        config.volumetric ? getVolumeSurface(noise, config, position, height) : getSurfaceHeight(height, config.heightMultiplier),
+        z * cellSize - config.chunkSize / 2,
+        scale,
+        rotation
+      );
+    }
+
+    scatter[category] = new Float32Array(instances);
+  });
+
+  return scatter;
+}
+
+let currentNoise = null;
+
+// Heights and normals of one chunk, along with the heights `padding`
+// vertices past its edges in `samples`
+function generateSurface(noise, config, offset, padding = 1) {
+  const gridSize = getGridSize(config);
+  const cellSize = getCellSize(config);
+
+  // At least one extra ring of samples so border normals also see the neighbouring chunk
+  const padded = gridSize + 2 * padding;
+  const samples = new Float32Array(padded * padded);
+
+  const chunkX = Math.round(offset.x / config.chunkSize);
+  const chunkZ = Math.round(offset.z / config.chunkSize);
+
+  for (let z = 0; z < padded; z++) {
+    for (let x = 0; x < padded; x++) {
+      let height = (config.erosion ? getErodedHeight : getHeight)(noise, config, { x: x - padding, z: z - padding }, offset);
+
+      if (config.rivers) {
+        const cell = locateHydrology(noise, config, chunkX * (gridSize - 1) + x - padding, chunkZ * (gridSize - 1) + z - padding);
+
+        if (cell) height = Math.max(0, height + cell.region.carve[cell.index]);
+      }
+
+      samples[z * padded + x] = height;
+    }
+  }
+
+  const surface = (x, z) => getSurfaceHeight(samples[(z + padding) * padded + x + padding], config.heightMultiplier);
+
+  const heights = new Float32Array(gridSize * gridSize);
+  const normals = new Float32Array(gridSize * gridSize * 3);
+
+  for (let z = 0; z < gridSize; z++) {
+    for (let x = 0; x < gridSize; x++) {
+      const index = z * gridSize + x;
+
+      // Central differences over the rendered surface
+      const normal = [
+        surface(x - 1, z) - surface(x + 1, z),
+        2 * cellSize,
+        surface(x, z - 1) - surface(x, z + 1)
+      ];
+      const length = Math.hypot(...normal);
+
+      heights[index] = samples[(z + padding) * padded + x + padding];
+      normals.set(normal.map(value => value / length), index * 3);
+    }
+  }
+
+  return { heights, normals, samples };
+}
+
+// Generates everything one chunk is drawn from as typed arrays, so they can be
+// transferred from a worker. `surface` reuses heights and normals from before
+export function generateChunk({ config, offset, surface = null }) {
+  if (!currentNoise || currentNoise.seed !== config.seed) currentNoise = new Noise(config.seed);
+
+  const gridSize = getGridSize(config);
+
+  // Volumetric chunks need the heights past their edges too, so they always generate them
+  const { heights, normals, samples } = surface && !config.volumetric
+    ? surface
+    : generateSurface(currentNoise, config, offset, config.volumetric ? VOLUME_PADDING : 1);
+
+  const colors = new Float32Array(gridSize * gridSize * 3);
+  const biomes = new Uint8Array(gridSize * gridSize);
+
+  for (let z = 0; z < gridSize; z++) {
+    for (let x = 0; x < gridSize; x++) {
+      const index = z * gridSize + x;
+
+      const climate = getClimate(currentNoise, config, getWorldPosition(config, { x, z }, offset), heights[index]);
+      const color = getColor(heights[index], climate, config.biomes, config.biomeBlend);
+      const weights = getBiomeWeights(climate, config.biomes, config.biomeBlend);
+
+      colors.set([color.r, color.g, color.b], index * 3);
+      biomes[index] = weights.indexOf(Math.max(...weights));
+    }
+  }
+
+  const scatter = scatterChunk(currentNoise, config, offset, heights, normals);
+
+  const freshwater = config.rivers
+    ? buildFreshwater(currentNoise, config, offset, heights)
+    : { positions: new Float32Array(0), depths: new Float32Array(0), indices: new Uint32Array(0) };
+
+  const volume = config.volumetric ? buildVolume(currentNoise, config, offset, samples) : null;
+
+  return { heights, colors, normals, biomes, scatter, freshwater, volume };
+}
@@ -1,387 +1,4369 @@
 import * as THREE from 'three';
 import { MapControls } from 'three/addons/controls/MapControls.js';
+import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { Sky } from 'three/addons/objects/Sky.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import {
+  DEFAULT_BIOMES,
+  DEFAULT_GENERATION_CONFIG,
+  ISLAND_SHAPES,
+  NOISE_SOURCES,
+  Noise,
+  compileNoiseGraph,
+  createVolumeLookup,
+  getBiomeWeights,
+  getCellSize,
+  getClimate,
+  getColor,
+  getGridSize,
+  getRampColor,
+  getSurfaceHeight,
+  randomSeed,
+} from './generation.js';
 
 const DEFAULT_CONFIG = {
-  size: 3,
-  chunkSize: 512,
-  resolution: 22,
-  octaves: 6,
-  persistance: 0.707,
-  lacunarity: 1.7,
-  heightMultiplier: 250,
-  islands: false,
+  ...DEFAULT_GENERATION_CONFIG,
   wireframe: false,
+  terrainStyle: 'textured',
+  lod: false,
+  lodDebug: false,
+  seaLevel: 0.47,
+  waveHeight: 1.5,
+  waterOpacity: 0.85,
+  deerCount: 20,
+  birdCount: 30,
+  fishCount: 30,
+  animalSpeed: 1,
+  weather: 'clear',
+  weatherAuto: true,
+  weatherDuration: 90,
+  timeOfDay: 10,
+  timeRunning: true,
+  dayLength: 240,
+  fog: true,
+  cameraMode: 'map',
+  autosave: true,
 }
 
-let CONFIG = { ...DEFAULT_CONFIG };
+// What changing each terrain setting invalidates, from the least work to the most:
+//   view      chunks around the camera are streamed again
+//   material  chunk materials are updated in place
+//   meshes    chunk meshes are built again from the data they already have
+//   colors    vertex colours, biomes and scattered objects are generated again
+//   heights   every chunk is generated again and its geometry rewritten in place
+//   layout    every chunk is thrown away and the grid laid out again
+const CONFIG_INVALIDATIONS = {
+  seed: 'heights',
+  size: 'layout',
+  infinite: 'layout',
+  chunkSize: 'layout',
+  resolution: 'layout',
+  octaves: 'heights',
+  persistance: 'heights',
+  lacunarity: 'heights',
+  noiseSource: 'heights',
+  noiseGraph: 'heights',
+  heightMultiplier: 'heights',
+  temperatureScale: 'colors',
+  moistureScale: 'colors',
+  biomeBlend: 'colors',
+  islands: 'heights',
+  islandShape: 'heights',
+  islandCount: 'heights',
+  islandCurve: 'heights',
+  islandSpread: 'heights',
+  heightmap: 'heights',
+  heightmapNoise: 'heights',
+  mask: 'heights',
+  maskStrength: 'heights',
+  erosion: 'heights',
+  erosionIterations: 'heights',
+  erosionRain: 'heights',
+  sedimentCapacity: 'heights',
+  thermalIterations: 'heights',
+  talusAngle: 'heights',
+  rivers: 'heights',
+  riverThreshold: 'heights',
+  riverWidth: 'heights',
+  riverDepth: 'heights',
+  volumetric: 'layout',
+  overhangStrength: 'heights',
+  overhangScale: 'heights',
+  caveScale: 'heights',
+  caveWidth: 'heights',
+  treeDensity: 'colors',
+  bushDensity: 'colors',
+  grassDensity: 'colors',
+  rockDensity: 'colors',
+  wireframe: 'material',
+  terrainStyle: 'meshes',
+  viewDistance: 'view',
+  lod: 'meshes',
+  lodDebug: 'meshes',
+};
+
+// Fires a 'change' event with the keys set on CONFIG, whoever set them
+const CONFIG_EVENTS = new EventTarget();
+
+// Set up by main, reading the link needs the option lists declared further down
+let CONFIG;
 
 const COLORS = {
   water: new THREE.Color(0x4169e1),
-  sand: new THREE.Color(0xeee8aa),
-  grass: new THREE.Color(0x2e8b57),
+  shallowWater: new THREE.Color(0x3fa7c4),
+  foam: new THREE.Color(0xf5fbff),
+  trunk: new THREE.Color(0x6b4226),
+  leaves: new THREE.Color(0x2f6f3e),
+  bush: new THREE.Color(0x4c8b3a),
+  blade: new THREE.Color(0x7fb24a),
+  deer: new THREE.Color(0x8b5a2b),
+  bird: new THREE.Color(0x3d3d3d),
+  fish: new THREE.Color(0xd9822b),
+  sunrise: new THREE.Color(0xffa060),
+  sunlight: new THREE.Color(0xfff4e0),
+  moonlight: new THREE.Color(0x8fa8ff),
+  daySky: new THREE.Color(0xbcd4ff),
+  nightSky: new THREE.Color(0x1a2340),
+  dayFog: new THREE.Color(0xcfe3f5),
+  duskFog: new THREE.Color(0xe8b48a),
+  nightFog: new THREE.Color(0x0b1020),
+  stormFog: new THREE.Color(0x8a8f96),
+  cloud: new THREE.Color(0xffffff),
+  stormCloud: new THREE.Color(0x5d6269),
+  rain: new THREE.Color(0xa9bfd6),
+  seabed: new THREE.Color(0x9c8c64),
+  sand: new THREE.Color(0xd8c690),
   rock: new THREE.Color(0x696969),
   snow: new THREE.Color(0xfffafa),
 }
 
-// Utils
-function inverseLerp(min, max, value) {
-  // Garante que o value esteja dentro do intervalo de min a max
-  value = Math.max(min, Math.min(max, value));
+const BIOMES = structuredClone(DEFAULT_BIOMES);
+
+// Level of detail: each level halves the vertices and kicks in
+// every LOD_DISTANCE chunk sizes away from the camera
+const LOD_LEVELS = 4;
+
+const LOD_DISTANCE = 1.25;
+
+// Fraction of a level's distance the camera has to move back past it before
+// switching, so chunks don't flicker between levels on the threshold
+const LOD_HYSTERESIS = 0.1;
+
+const LOD_DEBUG_COLORS = [
+  new THREE.Color(0xe53935),
+  new THREE.Color(0xfdd835),
+  new THREE.Color(0x43a047),
+  new THREE.Color(0x1e88e5),
+]
+
+// Utils
+function chunkKey(x, z) {
+  return `${x},${z}`;
+}
+
+// The whole config lives in the URL hash so a link rebuilds the same world
+function encodeConfig(config) {
+  return new URLSearchParams(Object.entries(config)).toString();
+}
+
+function decodeConfig(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const config = {};
+
+  for (const [key, defaultValue] of Object.entries(DEFAULT_CONFIG)) {
+    if (!params.has(key)) continue;
+
+    const value = params.get(key);
+
+    if (typeof defaultValue === 'boolean') {
+      config[key] = value === 'true';
+    } else if (typeof defaultValue === 'string') {
+      config[key] = value;
+    } else if (Number.isFinite(Number(value))) {
+      config[key] = Number(value);
+    }
+  }
+
+  return withValidConfig(config);
+}
+
+// A shared link or a saved project may carry an option that isn't in its
+// list or a noise graph that doesn't compile. Either would break chunks,
+// the weather or the camera, so the default is used instead
+function withValidConfig(config) {
+  const options = {
+    noiseSource: Object.keys(NOISE_SOURCES),
+    islandShape: ISLAND_SHAPES,
+    terrainStyle: TERRAIN_STYLES,
+    weather: Object.keys(WEATHER),
+    cameraMode: NAVIGATION.modes,
+  };
+
+  const valid = { ...config };
+
+  for (const [key, values] of Object.entries(options)) {
+    if (key in valid && !values.includes(valid[key])) valid[key] = DEFAULT_CONFIG[key];
+  }
+
+  if (!valid.noiseGraph) return valid;
+
+  try {
+    compileNoiseGraph(valid.noiseGraph, valid.noiseSource ?? DEFAULT_CONFIG.noiseSource);
+  } catch {
+    valid.noiseGraph = DEFAULT_CONFIG.noiseGraph;
+  }
+
+  return valid;
+}
+
+// Reports the keys set on a config once per task, so a batch of changes
+// (a loaded project, an opened link) is handled together
+function observeConfig(config, listener) {
+  let changed = new Set();
+
+  return new Proxy(config, {
+    set(target, key, value) {
+      if (target[key] === value) return true;
+
+      target[key] = value;
+
+      if (!changed.size) {
+        queueMicrotask(() => {
+          const keys = changed;
+
+          changed = new Set();
+          listener(keys);
+        });
+      }
+
+      changed.add(key);
+
+      return true;
+    },
+  });
+}
+
+function pickFile(accept) {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+
+    input.type = 'file';
+    input.accept = accept;
+    input.onchange = () => resolve(input.files[0]);
+
+    input.click();
+  });
+}
+
+// Reads an image file as grayscale values from 0 to 1, downscaled so it
+// stays cheap to send along with every worker job
+async function readGrayscaleImage(file, maxSize = 256) {
+  const bitmap = await createImageBitmap(file);
+
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const context = new OffscreenCanvas(width, height).getContext('2d');
+  context.drawImage(bitmap, 0, 0, width, height);
+
+  const pixels = context.getImageData(0, 0, width, height).data;
+  const data = new Float32Array(width * height);
+
+  for (let i = 0; i < data.length; i++) {
+    data[i] = (pixels[i * 4] + pixels[i * 4 + 1] + pixels[i * 4 + 2]) / (3 * 255);
+  }
+
+  return { width, height, data };
+}
+
+// Grayscale images as base64 bytes, small enough for project files
+function encodeImage(image) {
+  if (!image) return null;
+
+  const bytes = Uint8Array.from(image.data, value => Math.round(value * 255));
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+
+  return { width: image.width, height: image.height, data: btoa(binary) };
+}
+
+function decodeImage(image) {
+  if (!image) return null;
+
+  const binary = atob(image.data);
+  const data = new Float32Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) data[i] = binary.charCodeAt(i) / 255;
+
+  return { width: image.width, height: image.height, data };
+}
+
+function downloadFile(data, filename, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// PNG straight from samples, canvases can't write 16 bit images. `channels`
+// is 1 (grayscale) or 3 (RGB) and samples are whole numbers for `bitDepth`
+async function encodePNG({ width, height, channels, bitDepth, data }) {
+  const bytes = bitDepth / 8;
+  const stride = width * channels * bytes + 1;
+  const raw = new DataView(new ArrayBuffer(stride * height));
+
+  for (let y = 0; y < height; y++) {
+    for (let i = 0; i < width * channels; i++) {
+      const value = data[y * width * channels + i];
+      const position = y * stride + 1 + i * bytes;
+
+      if (bytes === 2) raw.setUint16(position, value);
+      else raw.setUint8(position, value);
+    }
+  }
+
+  const compressed = new Uint8Array(await new Response(
+    new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))
+  ).arrayBuffer());
+
+  const header = new DataView(new ArrayBuffer(13));
+  header.setUint32(0, width);
+  header.setUint32(4, height);
+  header.setUint8(8, bitDepth);
+  header.setUint8(9, channels === 1 ? 0 : 2);
+
+  const chunk = (type, content) => {
+    const body = new Uint8Array(4 + content.length);
+    body.set([...type].map(char => char.charCodeAt(0)));
+    body.set(content, 4);
+
+    const chunk = new DataView(new ArrayBuffer(body.length + 8));
+    chunk.setUint32(0, content.length);
+    new Uint8Array(chunk.buffer).set(body, 4);
+    chunk.setUint32(body.length + 4, crc32(body));
+
+    return new Uint8Array(chunk.buffer);
+  };
+
+  return new Blob([
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', new Uint8Array(header.buffer)),
+    chunk('IDAT', compressed),
+    chunk('IEND', new Uint8Array()),
+  ], { type: 'image/png' });
+}
+
+// Core
+class WorkerPool {
+  workers;
+
+  idle;
+
+  queue;
+
+  jobs;
+
+  // Id of the job each busy worker is running
+  running;
+
+  nextId;
+
+  constructor(url, size = navigator.hardwareConcurrency || 4) {
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.jobs = new Map();
+    this.running = new Map();
+    this.nextId = 0;
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(url, { type: 'module' });
+
+      // A job that threw comes back with its error instead of a result
+      worker.onmessage = ({ data: { id, result, error } }) => {
+        if (error) console.warn('Chunk generation failed', error);
+
+        this.#finish(worker, id, error ? null : result);
+      };
+
+      // The worker itself failed or its result couldn't be read, the job it
+      // was running fails with it
+      worker.onerror = worker.onmessageerror = event => {
+        event.preventDefault();
+        console.warn('Chunk worker failed', event.message);
+
+        if (this.running.has(worker)) this.#finish(worker, this.running.get(worker), null);
+      };
+
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  #finish(worker, id, result) {
+    this.jobs.get(id)?.resolve(result);
+    this.jobs.delete(id);
+    this.running.delete(worker);
+
+    this.idle.push(worker);
+    this.#next();
+  }
+
+  #next() {
+    if (!this.idle.length || !this.queue.length) return;
+
+    const worker = this.idle.pop();
+    const { id, job } = this.queue.shift();
+
+    this.running.set(worker, id);
+
+    // Jobs that can't be copied over to the worker fail straight away
+    try {
+      worker.postMessage({ id, job });
+    } catch (error) {
+      console.warn('Chunk job could not be sent', error);
+
+      this.#finish(worker, id, null);
+    }
+  }
+
+  // Resolves with the worker result, or with null if it failed or was
+  // cancelled before it started
+  run(job, owner) {
+    return new Promise(resolve => {
+      const id = this.nextId++;
+
+      this.jobs.set(id, { owner, resolve });
+      this.queue.push({ id, job });
+
+      this.#next();
+    });
+  }
+
+  // Drops every queued job of an owner, or only those `filter` picks out by
+  // their job, jobs already running are left to finish
+  cancel(owner, filter = () => true) {
+    this.queue = this.queue.filter(({ id, job: data }) => {
+      const job = this.jobs.get(id);
+
+      if (job.owner !== owner || !filter(data)) return true;
+
+      job.resolve(null);
+      this.jobs.delete(id);
+
+      return false;
+    });
+  }
+}
+
+const WATER_VERTEX_SHADER = /* glsl */`
+  #include <fog_pars_vertex>
+
+  uniform float uTime;
+  uniform float uSeaLevel;
+  uniform float uWaveHeight;
+  uniform vec2 uWind;
+
+  attribute float floorHeight;
+
+  varying float vDepth;
+  varying vec3 vNormal;
+  varying vec3 vWorldPosition;
+
+  float wave(vec2 p) {
+    // Wind pushes the waves along and makes them taller
+    p -= uWind * uTime * 8.0;
+
+    return (1.0 + length(uWind)) * (
+      sin(p.x * 0.05 + uTime * 1.2) * 0.5
+      + sin(p.y * 0.07 + uTime * 0.9) * 0.35
+      + sin((p.x + p.y) * 0.11 + uTime * 1.7) * 0.15
+    );
+  }
+
+  void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vec2 p = worldPosition.xz;
+
+    worldPosition.y = uSeaLevel + wave(p) * uWaveHeight;
+
+    // Wave normal from finite differences
+    float e = 1.0;
+    vNormal = normalize(vec3(
+      (wave(p - vec2(e, 0.0)) - wave(p + vec2(e, 0.0))) * uWaveHeight,
+      2.0 * e,
+      (wave(p - vec2(0.0, e)) - wave(p + vec2(0.0, e))) * uWaveHeight
+    ));
+
+    vDepth = uSeaLevel - floorHeight;
+    vWorldPosition = worldPosition.xyz;
+
+    vec4 mvPosition = viewMatrix * worldPosition;
+    gl_Position = projectionMatrix * mvPosition;
+
+    #include <fog_vertex>
+  }
+`;
+
+// Rivers and lakes keep the height they were built at, ripples only move
+// their normals
+const FRESHWATER_VERTEX_SHADER = /* glsl */`
+  #include <fog_pars_vertex>
+
+  uniform float uTime;
+
+  attribute float depth;
+
+  varying float vDepth;
+  varying vec3 vNormal;
+  varying vec3 vWorldPosition;
+
+  void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vec2 p = worldPosition.xz;
+
+    vNormal = normalize(vec3(
+      sin(p.x * 0.4 + uTime * 2.1) * 0.06,
+      1.0,
+      sin(p.y * 0.35 - uTime * 1.8) * 0.06
+    ));
+
+    vDepth = depth;
+    vWorldPosition = worldPosition.xyz;
+
+    vec4 mvPosition = viewMatrix * worldPosition;
+    gl_Position = projectionMatrix * mvPosition;
+
+    #include <fog_vertex>
+  }
+`;
+
+const WATER_FRAGMENT_SHADER = /* glsl */`
+  #include <fog_pars_fragment>
+
+  uniform float uTime;
+  uniform float uOpacity;
+  uniform float uDepthFalloff;
+  uniform float uFoamWidth;
+  uniform vec3 uShallowColor;
+  uniform vec3 uDeepColor;
+  uniform vec3 uFoamColor;
+  uniform vec3 uSunDirection;
+  uniform vec3 uSunColor;
+
+  varying float vDepth;
+  varying vec3 vNormal;
+  varying vec3 vWorldPosition;
+
+  #ifdef FRESHWATER
+    uniform float uSeaLevel;
+  #endif
+
+  void main() {
+    #ifdef FRESHWATER
+      // The sea covers whatever reaches below it
+      if (vWorldPosition.y < uSeaLevel) discard;
+    #endif
+
+    float depth = max(vDepth, 0.0);
+
+    // Deeper water gets darker and more opaque
+    float depthFactor = 1.0 - exp(-depth / uDepthFalloff);
+
+    vec3 color = mix(uShallowColor, uDeepColor, depthFactor);
+    float alpha = mix(uOpacity * 0.4, uOpacity, depthFactor);
+
+    // Foam bands rolling in where the water meets the shore
+    float foam = (1.0 - smoothstep(0.0, uFoamWidth, depth)) * mix(0.6, 1.0, 0.5 + 0.5 * sin(depth * 1.5 - uTime * 2.0));
+
+    vec3 normal = normalize(vNormal);
+    vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+
+    float diffuse = max(dot(normal, uSunDirection), 0.0);
+    float specular = pow(max(dot(reflect(-uSunDirection, normal), viewDirection), 0.0), 64.0);
+
+    color = color * (0.4 + 0.6 * diffuse) + uSunColor * specular * 0.6;
+    color = mix(color, uFoamColor, foam);
+
+    gl_FragColor = vec4(color, max(alpha, foam));
+
+    #include <colorspace_fragment>
+    #include <fog_fragment>
+  }
+`;
+
+// Water is one shared material drawn over every chunk, sea level and waves
+// live in uniforms so changing them doesn't touch the terrain. Rivers and
+// lakes share another one
+class Water {
+  material;
+
+  freshwaterMaterial;
+
+  constructor(config) {
+    const createUniforms = ({ depthFalloff, foamWidth }) => THREE.UniformsUtils.merge([
+      THREE.UniformsLib.fog,
+      {
+        uTime: { value: 0 },
+        uSeaLevel: { value: 0 },
+        uWaveHeight: { value: 0 },
+        uWind: { value: new THREE.Vector2() },
+        uOpacity: { value: 1 },
+        uDepthFalloff: { value: depthFalloff },
+        uFoamWidth: { value: foamWidth },
+        uShallowColor: { value: COLORS.shallowWater },
+        uDeepColor: { value: COLORS.water },
+        uFoamColor: { value: COLORS.foam },
+        uSunDirection: { value: new THREE.Vector3(500, 250, -500).normalize() },
+        uSunColor: { value: new THREE.Color(0xffffff) },
+      },
+    ]);
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: createUniforms({ depthFalloff: 12, foamWidth: 1.5 }),
+      vertexShader: WATER_VERTEX_SHADER,
+      fragmentShader: WATER_FRAGMENT_SHADER,
+      transparent: true,
+      depthWrite: false,
+      fog: true,
+    });
+
+    this.freshwaterMaterial = new THREE.ShaderMaterial({
+      uniforms: createUniforms({ depthFalloff: 4, foamWidth: 0.4 }),
+      defines: { FRESHWATER: '' },
+      vertexShader: FRESHWATER_VERTEX_SHADER,
+      fragmentShader: WATER_FRAGMENT_SHADER,
+      transparent: true,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      fog: true,
+    });
+
+    this.update(config);
+  }
+
+  update({ seaLevel, waveHeight, waterOpacity, heightMultiplier }) {
+    [this.material, this.freshwaterMaterial].forEach(({ uniforms }) => {
+      uniforms.uSeaLevel.value = seaLevel * heightMultiplier;
+      uniforms.uWaveHeight.value = waveHeight;
+      uniforms.uOpacity.value = waterOpacity;
+    });
+  }
+
+  setWind(wind) {
+    this.material.uniforms.uWind.value.copy(wind);
+  }
+
+  setLight(direction, color) {
+    [this.material, this.freshwaterMaterial].forEach(({ uniforms }) => {
+      uniforms.uSunDirection.value.copy(direction);
+      uniforms.uSunColor.value.copy(color);
+    });
+  }
+
+  tick(delta) {
+    this.material.uniforms.uTime.value += delta;
+    this.freshwaterMaterial.uniforms.uTime.value += delta;
+  }
+}
+
+function smoothstep(min, max, value) {
+  const t = THREE.MathUtils.clamp((value - min) / (max - min), 0, 1);
+
+  return t * t * (3 - 2 * t);
+}
+
+// Terrain surface
+// 'textured' blends the textures below by height and slope over smooth
+// shading, 'lowpoly' is the flat shaded vertex colours alone
+const TERRAIN_STYLES = ['textured', 'lowpoly'];
+
+// Tileable textures made from noise. Grass is white so it only adds detail
+// to the biome colours, `strata` draws bands across the rock
+const TERRAIN_TEXTURES = {
+  grass: { color: new THREE.Color(0xffffff), variation: 0.3, frequency: 12, seed: 1 },
+  rock: { color: COLORS.rock, variation: 0.35, frequency: 6, strata: 5, seed: 2 },
+  sand: { color: COLORS.sand, variation: 0.12, frequency: 32, seed: 3 },
+  snow: { color: COLORS.snow, variation: 0.05, frequency: 8, seed: 4 },
+};
+
+const TERRAIN_TEXTURE_SIZE = 256;
+
+// World units covered by one repeat of the textures
+const TERRAIN_TEXTURE_SCALE = 32;
+
+function createTerrainTexture({ color, variation, frequency, strata = 0, seed }) {
+  const size = TERRAIN_TEXTURE_SIZE;
+  const noise = new Noise(seed);
+
+  const sample = (x, y) => {
+    let value = 0;
+    let amplitude = 0.5;
+
+    for (let octave = 0; octave < 4; octave++) {
+      const scale = frequency * 2 ** octave / size;
+
+      value += noise.sample(x * scale, y * scale) * amplitude;
+      amplitude /= 2;
+    }
+
+    return value;
+  };
+
+  // Blends the noise with copies of itself a tile away so the edges wrap
+  const sampleTiled = (x, y) => (
+    sample(x, y) * (size - x) * (size - y)
+    + sample(x - size, y) * x * (size - y)
+    + sample(x - size, y - size) * x * y
+    + sample(x, y - size) * (size - x) * y
+  ) / (size * size);
+
+  const hex = color.getHex();
+  const rgb = [hex >> 16 & 255, hex >> 8 & 255, hex & 255];
+  const data = new Uint8Array(size * size * 4);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let value = sampleTiled(x, y);
+
+      if (strata) value = value * 0.6 + Math.sin((y / size + value * 0.15) * strata * Math.PI * 2) * 0.4;
+
+      const shade = 1 + value * variation * 2;
+      const index = (y * size + x) * 4;
+
+      rgb.forEach((channel, i) => data[index + i] = Math.min(255, Math.max(0, Math.round(channel * shade))));
+      data[index + 3] = 255;
+    }
+  }
+
+  const texture = new THREE.DataTexture(data, size, size);
+
+  texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.generateMipmaps = true;
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.needsUpdate = true;
+
+  return texture;
+}
+
+// The textures are shared by every chunk material, the heights they are
+// blended at live in uniforms so sea level changes don't touch the chunks
+class TerrainTextures {
+  uniforms;
+
+  constructor(config) {
+    const textures = Object.fromEntries(Object.entries(TERRAIN_TEXTURES).map(([name, texture]) => [name, createTerrainTexture(texture)]));
+
+    this.uniforms = {
+      uGrassTexture: { value: textures.grass },
+      uRockTexture: { value: textures.rock },
+      uSandTexture: { value: textures.sand },
+      uSnowTexture: { value: textures.snow },
+      uTextureScale: { value: TERRAIN_TEXTURE_SCALE },
+      uSeaHeight: { value: 0 },
+      uHeightMultiplier: { value: 1 },
+    };
+
+    this.update(config);
+  }
+
+  update({ seaLevel, heightMultiplier }) {
+    this.uniforms.uSeaHeight.value = seaLevel * heightMultiplier;
+    this.uniforms.uHeightMultiplier.value = heightMultiplier;
+  }
+
+  // Adds texture splatting on top of whatever the material already does to
+  // its shader, the blended textures replace the vertex colours before weather
+  // adds snow and wetness
+  apply(material) {
+    const onBeforeCompile = material.onBeforeCompile;
+    const programCacheKey = material.customProgramCacheKey();
+
+    material.onBeforeCompile = (shader, renderer) => {
+      onBeforeCompile(shader, renderer);
+
+      Object.assign(shader.uniforms, this.uniforms);
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+          varying vec3 vSplatPosition;
+          varying vec3 vSplatNormal;`)
+        .replace('#include <project_vertex>', `#include <project_vertex>
+          vSplatPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+          vSplatNormal = normalize(mat3(modelMatrix) * objectNormal);`);
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+          uniform sampler2D uGrassTexture;
+          uniform sampler2D uRockTexture;
+          uniform sampler2D uSandTexture;
+          uniform sampler2D uSnowTexture;
+          uniform float uTextureScale;
+          uniform float uSeaHeight;
+          uniform float uHeightMultiplier;
+          varying vec3 vSplatPosition;
+          varying vec3 vSplatNormal;
+
+          // Projected along all three axes so cliffs aren't stretched
+          vec3 triplanar(sampler2D map, vec3 position, vec3 weights) {
+            return texture2D(map, position.zy / uTextureScale).rgb * weights.x
+              + texture2D(map, position.xz / uTextureScale).rgb * weights.y
+              + texture2D(map, position.xy / uTextureScale).rgb * weights.z;
+          }`)
+        .replace('#include <color_fragment>', `#include <color_fragment>
+          vec3 splatNormal = normalize(vSplatNormal);
+          vec3 weights = pow(abs(splatNormal), vec3(4.0));
+          weights /= weights.x + weights.y + weights.z;
+
+          // Sand along the shore, snow on the peaks and rock wherever it's too steep for either
+          float height = vSplatPosition.y;
+          float sand = 1.0 - smoothstep(uSeaHeight + uHeightMultiplier * 0.01, uSeaHeight + uHeightMultiplier * 0.04, height);
+          float peak = smoothstep(uHeightMultiplier * 0.86, uHeightMultiplier * 0.92, height);
+          float rock = smoothstep(0.3, 0.55, 1.0 - splatNormal.y);
+
+          vec3 splat = diffuseColor.rgb * triplanar(uGrassTexture, vSplatPosition, weights);
+          splat = mix(splat, triplanar(uSandTexture, vSplatPosition, weights), sand);
+          splat = mix(splat, triplanar(uSnowTexture, vSplatPosition, weights), peak);
+          splat = mix(splat, triplanar(uRockTexture, vSplatPosition, weights), rock);
+
+          diffuseColor.rgb = splat;`);
+    };
+
+    material.customProgramCacheKey = () => `${programCacheKey}-splat`;
+  }
+}
+
+// Time of day in hours, moves the sun and moon across a Preetham sky and
+// tints the lights and fog to match
+class DayNight {
+  scene;
+
+  config;
+
+  time;
+
+  sky;
+
+  sun;
+
+  moon;
+
+  moonMesh;
+
+  ambient;
+
+  // Direction and colour of the brightest light, for the water shader
+  lightDirection;
+
+  lightColor;
+
+  constructor({ scene, config }) {
+    this.scene = scene;
+    this.config = config;
+    this.time = config.timeOfDay;
+
+    this.sky = new Sky();
+    this.sky.scale.setScalar(1000);
+    this.sky.material.uniforms.turbidity.value = 8;
+    this.sky.material.uniforms.mieCoefficient.value = 0.005;
+    this.sky.material.uniforms.mieDirectionalG.value = 0.7;
+
+    this.sun = new THREE.DirectionalLight(COLORS.sunlight, 2);
+    this.sun.castShadow = true;
+
+    this.moon = new THREE.DirectionalLight(COLORS.moonlight, 0);
+
+    this.moonMesh = new THREE.Mesh(
+      new THREE.SphereGeometry(25, 16, 8),
+      new THREE.MeshBasicMaterial({ color: 0xf4f1e8, fog: false })
+    );
+
+    this.ambient = new THREE.HemisphereLight(COLORS.daySky, COLORS.seabed, 0.5);
+
+    this.lightDirection = new THREE.Vector3(0, 1, 0);
+    this.lightColor = new THREE.Color();
+
+    scene.add(this.sky, this.sun, this.sun.target, this.moon, this.moon.target, this.moonMesh, this.ambient);
+    scene.fog = new THREE.Fog(COLORS.dayFog, 600, 2000);
+  }
+
+  // Sun direction for the current time, rising in the east at 6h and
+  // peaking at noon on a slightly tilted arc
+  #getSunDirection() {
+    const angle = (this.time / 24) * Math.PI * 2 - Math.PI / 2;
+
+    return new THREE.Vector3(Math.cos(angle), Math.sin(angle), -0.35).normalize();
+  }
+
+  // `overcast` (0 to 1) dims the sun and greys out the fog
+  tick(delta, eye, focus, overcast = 0) {
+    if (this.config.timeRunning) {
+      this.time = (this.time + delta / this.config.dayLength * 24) % 24;
+    }
+
+    const sunDirection = this.#getSunDirection();
+    const moonDirection = sunDirection.clone().negate();
+
+    const day = smoothstep(-0.1, 0.25, sunDirection.y);
+    const night = smoothstep(-0.1, 0.25, moonDirection.y);
+    const dusk = 1 - smoothstep(0, 0.35, Math.abs(sunDirection.y));
+
+    this.sky.position.copy(eye);
+    this.sky.material.uniforms.sunPosition.value.copy(sunDirection);
+    this.sky.material.uniforms.rayleigh.value = 1 + dusk * 2;
+
+    // Lights follow the camera focus so their shadows cover what is on screen
+    this.sun.target.position.copy(focus);
+    this.sun.position.copy(focus).addScaledVector(sunDirection, 500);
+    this.sun.color.copy(COLORS.sunrise).lerp(COLORS.sunlight, smoothstep(0, 0.5, sunDirection.y));
+    this.sun.intensity = day * 2.5 * (1 - overcast * 0.7);
+
+    this.moon.target.position.copy(focus);
+    this.moon.position.copy(focus).addScaledVector(moonDirection, 500);
+    this.moon.intensity = night * 0.3;
+
+    this.moonMesh.position.copy(eye).addScaledVector(moonDirection, 900);
+    this.moonMesh.visible = moonDirection.y > -0.1;
+
+    this.ambient.color.copy(COLORS.nightSky).lerp(COLORS.daySky, day);
+    this.ambient.intensity = 0.15 + day * 0.45;
+
+    this.scene.fog.color.copy(COLORS.nightFog).lerp(COLORS.dayFog, day).lerp(COLORS.duskFog, dusk * day);
+    this.scene.fog.color.lerp(COLORS.stormFog, overcast * day * 0.8);
+    this.scene.fog.near = this.config.fog ? 600 * (1 - overcast * 0.8) : Number.MAX_SAFE_INTEGER;
+    this.scene.fog.far = this.config.fog ? 2000 : Number.MAX_SAFE_INTEGER;
+
+    const light = day >= night ? this.sun : this.moon;
+
+    this.lightDirection.copy(day >= night ? sunDirection : moonDirection);
+    this.lightColor.copy(light.color).multiplyScalar(Math.max(day, night * 0.3));
+  }
+}
+
+// Every weather state is a set of targets the current weather fades to
+const WEATHER = {
+  clear: { clouds: 0.15, rain: 0, snow: 0, wind: 0.2 },
+  overcast: { clouds: 0.8, rain: 0, snow: 0, wind: 0.5 },
+  rain: { clouds: 1, rain: 1, snow: 0, wind: 0.7 },
+  snowstorm: { clouds: 1, rain: 0, snow: 1, wind: 1 },
+};
+
+const WEATHER_TRANSITION = 20;
+
+const PRECIPITATION_LIMIT = 6000;
+
+const PRECIPITATION_AREA = { width: 600, height: 400 };
+
+const CLOUD_COUNT = 50;
+
+const CLOUD_AREA = 1500;
+
+function createCloudTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 128;
+
+  const context = canvas.getContext('2d');
+  const gradient = context.createRadialGradient(64, 64, 0, 64, 64, 64);
+
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+  gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.6)');
+  gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, 128, 128);
+
+  return new THREE.CanvasTexture(canvas);
+}
+
+// Fades between weather states and drives precipitation, billboard clouds,
+// wind (for vegetation and water) and snow and wetness on the terrain
+class Weather {
+  scene;
+
+  config;
+
+  state;
+
+  elapsed;
+
+  windAngle;
+
+  wind;
+
+  // Snow build up and wetness of the ground, from 0 to 1
+  snowCover;
+
+  wetness;
+
+  uniforms;
+
+  rain;
+
+  snow;
+
+  clouds;
+
+  constructor({ scene, config }) {
+    this.scene = scene;
+    this.config = config;
+    this.state = { ...WEATHER[config.weather] };
+    this.elapsed = 0;
+    this.windAngle = Math.random() * Math.PI * 2;
+    this.wind = new THREE.Vector2();
+    this.snowCover = 0;
+    this.wetness = 0;
+
+    this.uniforms = {
+      uTime: { value: 0 },
+      uWind: { value: this.wind },
+      uSnowLine: { value: 0 },
+      uSnowAmount: { value: 0 },
+      uWetness: { value: 0 },
+      uSnowColor: { value: COLORS.snow },
+    };
+
+    // Rain is drawn as short streaks, snow as flakes
+    this.rain = new THREE.LineSegments(
+      new THREE.BufferGeometry().setAttribute('position', new THREE.BufferAttribute(this.#scatterDrops(2), 3)),
+      new THREE.LineBasicMaterial({ color: COLORS.rain, transparent: true, opacity: 0.5 })
+    );
+
+    this.snow = new THREE.Points(
+      new THREE.BufferGeometry().setAttribute('position', new THREE.BufferAttribute(this.#scatterDrops(1), 3)),
+      new THREE.PointsMaterial({ color: COLORS.snow, size: 2.5, transparent: true, opacity: 0.9 })
+    );
+
+    // Drops are moved around the camera every frame
+    this.rain.frustumCulled = false;
+    this.snow.frustumCulled = false;
+
+    const cloudTexture = createCloudTexture();
+
+    this.clouds = Array.from({ length: CLOUD_COUNT }, () => {
+      const cloud = new THREE.Sprite(new THREE.SpriteMaterial({ map: cloudTexture, transparent: true, depthWrite: false, fog: false }));
+
+      cloud.position.set((Math.random() - 0.5) * CLOUD_AREA * 2, 450 + Math.random() * 200, (Math.random() - 0.5) * CLOUD_AREA * 2);
+      cloud.scale.set(300 + Math.random() * 300, 120 + Math.random() * 80, 1);
+
+      return cloud;
+    });
+
+    scene.add(this.rain, this.snow, ...this.clouds);
+  }
+
+  // Random drops in the precipitation box, `vertices` per drop
+  #scatterDrops(vertices) {
+    const positions = new Float32Array(PRECIPITATION_LIMIT * vertices * 3);
+    const { width, height } = PRECIPITATION_AREA;
+
+    for (let i = 0; i < PRECIPITATION_LIMIT; i++) {
+      const drop = [(Math.random() - 0.5) * width, Math.random() * height, (Math.random() - 0.5) * width];
+
+      for (let v = 0; v < vertices; v++) positions.set(drop, (i * vertices + v) * 3);
+    }
+
+    return positions;
+  }
+
+  // Adds snow build up and wetness to a terrain material
+  applySurface(material) {
+    material.onBeforeCompile = shader => {
+      Object.assign(shader.uniforms, this.uniforms);
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+          varying vec3 vTerrainPosition;
+          varying vec3 vTerrainNormal;`)
+        .replace('#include <project_vertex>', `#include <project_vertex>
+          vTerrainPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+          vTerrainNormal = normalize(mat3(modelMatrix) * objectNormal);`);
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+          uniform float uSnowLine;
+          uniform float uSnowAmount;
+          uniform float uWetness;
+          uniform vec3 uSnowColor;
+          varying vec3 vTerrainPosition;
+          varying vec3 vTerrainNormal;`)
+        .replace('#include <color_fragment>', `#include <color_fragment>
+          // Snow settles above the snow line on ground that isn't too steep
+          float snow = uSnowAmount
+            * smoothstep(uSnowLine - 15.0, uSnowLine + 15.0, vTerrainPosition.y)
+            * smoothstep(0.5, 0.8, normalize(vTerrainNormal).y);
+
+          diffuseColor.rgb = mix(diffuseColor.rgb * (1.0 - uWetness * 0.4), uSnowColor, snow);`)
+        .replace('#include <roughnessmap_fragment>', `#include <roughnessmap_fragment>
+          roughnessFactor *= 1.0 - uWetness * 0.5 * (1.0 - snow);`);
+    };
+
+    material.customProgramCacheKey = () => 'terrain-weather';
+  }
+
+  // Sways instanced models with the wind, more the higher up the model
+  applyWind(material) {
+    material.onBeforeCompile = shader => {
+      shader.uniforms.uTime = this.uniforms.uTime;
+      shader.uniforms.uWind = this.uniforms.uWind;
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+          uniform float uTime;
+          uniform vec2 uWind;`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>
+          float sway = sin(uTime * 2.0 + instanceMatrix[3].x * 0.05 + instanceMatrix[3].z * 0.05);
+          transformed.xz += uWind * position.y * (0.15 + 0.1 * sway);`);
+    };
+
+    material.customProgramCacheKey = () => 'vegetation-wind';
+  }
+
+  #updateDrops(points, vertices, fallSpeed, amount, eye, delta) {
+    const positions = points.geometry.attributes.position;
+    const { width, height } = PRECIPITATION_AREA;
+    const count = Math.floor(PRECIPITATION_LIMIT * amount);
+
+    const wrap = (value, size) => ((value % size) + size * 1.5) % size - size / 2;
+
+    for (let i = 0; i < count; i++) {
+      const index = i * vertices;
+
+      let x = positions.getX(index) + this.wind.x * 40 * delta;
+      let y = positions.getY(index) - fallSpeed * delta;
+      let z = positions.getZ(index) + this.wind.y * 40 * delta;
+
+      // Drops leaving the box come back in on the other side
+      x = wrap(x, width);
+      z = wrap(z, width);
+      if (y < 0) y += height;
+
+      positions.setXYZ(index, x, y, z);
+
+      // Streaks trail behind along the direction they fall
+      if (vertices === 2) positions.setXYZ(index + 1, x - this.wind.x * 2, y + 6, z - this.wind.y * 2);
+    }
+
+    positions.needsUpdate = true;
+
+    points.geometry.setDrawRange(0, count * vertices);
+    points.position.set(eye.x, eye.y - height / 2, eye.z);
+    points.visible = count > 0;
+  }
+
+  tick(delta, eye) {
+    delta = Math.min(delta, 0.1);
+
+    // Pick another weather every now and then
+    this.elapsed += delta;
+
+    if (this.config.weatherAuto && this.elapsed > this.config.weatherDuration) {
+      const states = Object.keys(WEATHER).filter(state => state !== this.config.weather);
+
+      this.config.weather = states[Math.floor(Math.random() * states.length)];
+      this.elapsed = 0;
+    }
+
+    const target = WEATHER[this.config.weather];
+
+    for (const key of Object.keys(this.state)) {
+      this.state[key] += (target[key] - this.state[key]) * Math.min(1, delta / WEATHER_TRANSITION * 4);
+    }
+
+    this.windAngle += (Math.random() - 0.5) * 0.2 * delta;
+    this.wind.set(Math.cos(this.windAngle), Math.sin(this.windAngle)).multiplyScalar(this.state.wind);
+
+    // Snow builds up slowly and melts away a bit faster, rain soaks in and dries
+    this.snowCover = THREE.MathUtils.clamp(this.snowCover + (this.state.snow * 0.02 - 0.03 * (1 - this.state.snow)) * delta, 0, 1);
+    this.wetness = THREE.MathUtils.clamp(this.wetness + (this.state.rain * 0.1 - 0.02) * delta, 0, 1);
+
+    this.uniforms.uTime.value += delta;
+    this.uniforms.uSnowLine.value = THREE.MathUtils.lerp(0.9, 0.55, this.snowCover) * this.config.heightMultiplier;
+    this.uniforms.uSnowAmount.value = smoothstep(0, 0.05, this.snowCover);
+    this.uniforms.uWetness.value = this.wetness;
+
+    this.#updateDrops(this.rain, 2, 250, this.state.rain, eye, delta);
+    this.#updateDrops(this.snow, 1, 25, this.state.snow, eye, delta);
+
+    const cloudColor = COLORS.cloud.clone().lerp(COLORS.stormCloud, Math.max(this.state.rain, this.state.snow));
+
+    for (const [index, cloud] of this.clouds.entries()) {
+      cloud.position.x += this.wind.x * 15 * delta;
+      cloud.position.z += this.wind.y * 15 * delta;
+
+      // Keep the cloud field centred on the camera
+      if (cloud.position.x - eye.x > CLOUD_AREA) cloud.position.x -= CLOUD_AREA * 2;
+      if (cloud.position.x - eye.x < -CLOUD_AREA) cloud.position.x += CLOUD_AREA * 2;
+      if (cloud.position.z - eye.z > CLOUD_AREA) cloud.position.z -= CLOUD_AREA * 2;
+      if (cloud.position.z - eye.z < -CLOUD_AREA) cloud.position.z += CLOUD_AREA * 2;
+
+      // Thin skies show only some of the clouds
+      const cover = THREE.MathUtils.clamp(this.state.clouds * CLOUD_COUNT - index, 0, 1);
+
+      cloud.material.opacity = cover * 0.8;
+      cloud.material.color.copy(cloudColor);
+      cloud.visible = cover > 0;
+    }
+  }
+}
+
+function paintGeometry(geometry, color) {
+  const colors = new Float32Array(geometry.attributes.position.count * 3);
+
+  for (let i = 0; i < colors.length; i += 3) colors.set([color.r, color.g, color.b], i);
+
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+  return geometry;
+}
+
+// Low poly models shared by every chunk, one instanced mesh per category
+// and chunk draws all of its scattered objects
+class Vegetation {
+  geometries;
+
+  material;
+
+  constructor() {
+    this.geometries = {
+      trees: mergeGeometries([
+        paintGeometry(new THREE.CylinderGeometry(0.08, 0.12, 0.4, 5).translate(0, 0.2, 0), COLORS.trunk),
+        paintGeometry(new THREE.ConeGeometry(0.45, 0.9, 6).translate(0, 0.8, 0), COLORS.leaves),
+      ]),
+      bushes: paintGeometry(new THREE.IcosahedronGeometry(0.5, 0).translate(0, 0.3, 0), COLORS.bush),
+      grass: mergeGeometries([-0.4, 0, 0.4].map((angle, i) => paintGeometry(
+        new THREE.ConeGeometry(0.08, 1, 3).translate(0, 0.5, 0).rotateZ(angle * 0.4).rotateY(i * 2),
+        COLORS.blade
+      ))),
+      rocks: paintGeometry(new THREE.DodecahedronGeometry(0.5, 0).scale(1, 0.6, 1).translate(0, 0.15, 0), COLORS.rock),
+    };
+
+    this.material = new THREE.MeshStandardMaterial({
+      vertexColors: true,
+      roughness: 0.9,
+      metalness: 0,
+      flatShading: true,
+    });
+  }
+
+  // Instances below the water line are left out, so moving the sea level
+  // only has to call this again
+  createMeshes(scatter, seaLevel) {
+    const matrix = new THREE.Matrix4();
+    const quaternion = new THREE.Quaternion();
+    const up = new THREE.Vector3(0, 1, 0);
+
+    return Object.entries(scatter).map(([category, instances]) => {
+      const visible = [];
+
+      for (let i = 0; i < instances.length; i += 5) {
+        if (instances[i + 1] > seaLevel) visible.push(i);
+      }
+
+      const mesh = new THREE.InstancedMesh(this.geometries[category], this.material, visible.length);
+
+      visible.forEach((i, index) => {
+        const [x, y, z, scale, rotation] = instances.subarray(i, i + 5);
+
+        matrix.compose(
+          new THREE.Vector3(x, y, z),
+          quaternion.setFromAxisAngle(up, rotation),
+          new THREE.Vector3(scale, scale, scale)
+        );
+
+        mesh.setMatrixAt(index, matrix);
+      });
+
+      mesh.computeBoundingSphere();
+      mesh.receiveShadow = true;
+
+      return mesh;
+    });
+  }
+}
+
+// Animals are plain data steered every frame, `count` is the config key of
+// their population and `biomes` the ones they spawn in (any when null)
+const SPECIES = {
+  deer: { habitat: 'land', biomes: ['grassland', 'forest', 'tundra'], count: 'deerCount', speed: 14, scale: 4, flock: 0.6, fleeRadius: 120, thirst: 0.03 },
+  birds: { habitat: 'air', biomes: null, count: 'birdCount', speed: 45, scale: 3, flock: 1, fleeRadius: 60, altitude: 70 },
+  fish: { habitat: 'water', biomes: null, count: 'fishCount', speed: 10, scale: 2, flock: 0.9, fleeRadius: 40 },
+};
+
+const FAUNA_RADIUS = 600;
+
+const FAUNA_LIMIT = 100;
+
+class Fauna {
+  scene;
+
+  terrain;
+
+  config;
+
+  agents;
+
+  meshes;
+
+  constructor({ scene, terrain, config }) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.config = config;
+
+    const geometries = {
+      deer: mergeGeometries([
+        new THREE.BoxGeometry(0.5, 0.5, 1.2).translate(0, 0.8, 0),
+        new THREE.BoxGeometry(0.3, 0.4, 0.4).translate(0, 1.2, 0.7),
+        ...[[-0.2, -0.45], [0.2, -0.45], [-0.2, 0.45], [0.2, 0.45]].map(([x, z]) => new THREE.BoxGeometry(0.1, 0.6, 0.1).translate(x, 0.3, z)),
+      ].map(geometry => paintGeometry(geometry, COLORS.deer))),
+      birds: mergeGeometries([
+        new THREE.ConeGeometry(0.2, 1, 3).rotateX(Math.PI / 2),
+        new THREE.BoxGeometry(1.6, 0.05, 0.4),
+      ].map(geometry => paintGeometry(geometry.toNonIndexed(), COLORS.bird))),
+      fish: mergeGeometries([
+        new THREE.ConeGeometry(0.25, 1, 4).rotateX(Math.PI / 2),
+        new THREE.ConeGeometry(0.2, 0.4, 3).rotateX(-Math.PI / 2).translate(0, 0, -0.6),
+      ].map(geometry => paintGeometry(geometry, COLORS.fish))),
+    };
+
+    const material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.8, flatShading: true });
+
+    this.agents = {};
+    this.meshes = {};
+
+    for (const species of Object.keys(SPECIES)) {
+      const mesh = new THREE.InstancedMesh(geometries[species], material, FAUNA_LIMIT);
+
+      // Agents roam all over, culling the whole batch by one sphere doesn't pay off
+      mesh.frustumCulled = false;
+      mesh.count = 0;
+
+      this.agents[species] = [];
+      this.meshes[species] = mesh;
+
+      scene.add(mesh);
+    }
+  }
+
+  #isHabitat(rules, x, z) {
+    const height = this.terrain.getHeightAt(x, z);
+
+    if (height === null) return false;
+
+    const seaHeight = this.terrain.getSeaHeight();
+
+    if (rules.habitat === 'land' && height < seaHeight) return false;
+    if (rules.habitat === 'water' && height > seaHeight - 3) return false;
+
+    if (!rules.biomes) return true;
+
+    return rules.biomes.includes(this.terrain.getBiomeAt(x, z)?.name);
+  }
+
+  #spawn(rules, center) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const angle = Math.random() * Math.PI * 2;
+      const distance = Math.sqrt(Math.random()) * FAUNA_RADIUS;
+
+      const x = center.x + Math.cos(angle) * distance;
+      const z = center.z + Math.sin(angle) * distance;
+
+      if (!this.#isHabitat(rules, x, z)) continue;
+
+      return {
+        position: new THREE.Vector3(x, this.terrain.getHeightAt(x, z), z),
+        velocity: new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)),
+        wander: angle,
+        thirst: Math.random(),
+        water: null,
+        drinking: 0,
+      };
+    }
+
+    return null;
+  }
+
+  // Nearby water for thirsty animals, the sea probed on rings around them or
+  // the closest river or lake, whichever is nearer
+  #findWater(position) {
+    const seaHeight = this.terrain.getSeaHeight();
+    const freshwater = this.terrain.getNearestFreshwater(position, 300);
+
+    for (let distance = 50; distance <= 300; distance += 50) {
+      if (freshwater && freshwater.distanceTo(position.clone().setY(0)) <= distance) return freshwater;
+
+      for (let i = 0; i < 16; i++) {
+        const angle = i / 16 * Math.PI * 2;
+
+        const x = position.x + Math.cos(angle) * distance;
+        const z = position.z + Math.sin(angle) * distance;
+
+        const height = this.terrain.getHeightAt(x, z);
+
+        if (height !== null && height < seaHeight) return new THREE.Vector3(x, 0, z);
+      }
+    }
+
+    return freshwater;
+  }
+
+  #steer(rules, agent, neighbours, threat, delta) {
+    const speed = rules.speed * this.config.animalSpeed;
+    const steering = new THREE.Vector3();
+
+    const seek = (target, weight, scale = 1) => {
+      const desired = target.clone().setY(0).normalize().multiplyScalar(speed * scale);
+
+      steering.add(desired.sub(agent.velocity.clone().setY(0)).multiplyScalar(weight));
+    };
+
+    // Wander: drift the heading a little every frame
+    agent.wander += (Math.random() - 0.5) * 4 * delta;
+    seek(new THREE.Vector3(Math.cos(agent.wander), 0, Math.sin(agent.wander)), 0.5);
+
+    // Flock: separation, alignment and cohesion with the same species
+    if (neighbours.length) {
+      const separation = new THREE.Vector3();
+      const alignment = new THREE.Vector3();
+      const cohesion = new THREE.Vector3();
+
+      for (const other of neighbours) {
+        const offset = agent.position.clone().sub(other.position).setY(0);
+
+        if (offset.length() < 15) separation.add(offset.divideScalar(Math.max(offset.lengthSq(), 1)));
+
+        alignment.add(other.velocity);
+        cohesion.add(other.position);
+      }
+
+      cohesion.divideScalar(neighbours.length).sub(agent.position);
+
+      if (separation.lengthSq() > 0) seek(separation, 1.5 * rules.flock);
+      if (alignment.lengthSq() > 0) seek(alignment, rules.flock);
+      if (cohesion.lengthSq() > 0) seek(cohesion, 0.5 * rules.flock);
+    }
+
+    // Flee: run away from whoever is watching
+    const away = agent.position.clone().sub(threat).setY(0);
+
+    if (away.length() < rules.fleeRadius) seek(away, 3, 1.8);
+
+    // Seek water: land animals get thirsty and walk to the shore to drink
+    if (rules.thirst) {
+      agent.thirst += rules.thirst * delta;
+
+      if (agent.thirst > 1 && !agent.water) agent.water = this.#findWater(agent.position);
+
+      if (agent.water) {
+        const toWater = agent.water.clone().sub(agent.position).setY(0);
+
+        if (toWater.length() < 20) {
+          agent.drinking = 4;
+          agent.thirst = 0;
+          agent.water = null;
+        } else {
+          seek(toWater, 2);
+        }
+      }
+    }
+
+    return steering;
+  }
+
+  #move(rules, agent, steering, delta) {
+    if (agent.drinking > 0) {
+      agent.drinking -= delta;
+      agent.velocity.multiplyScalar(0.9);
+
+      return;
+    }
+
+    const speed = rules.speed * this.config.animalSpeed;
+
+    agent.velocity.add(steering.multiplyScalar(delta)).setY(0);
+
+    if (agent.velocity.length() > speed) agent.velocity.setLength(speed);
+
+    const next = agent.position.clone().addScaledVector(agent.velocity, delta);
+
+    // Turn back at the water line (or the shore, for fish) and at unloaded chunks
+    if (rules.habitat !== 'air' && !this.#isHabitat({ ...rules, biomes: null }, next.x, next.z)) {
+      agent.velocity.negate();
+      agent.wander += Math.PI;
+
+      return;
+    }
+
+    const ground = this.terrain.getHeightAt(next.x, next.z) ?? agent.position.y;
+    const seaHeight = this.terrain.getSeaHeight();
+
+    if (rules.habitat === 'land') next.y = ground;
+    if (rules.habitat === 'water') next.y = (Math.max(ground, seaHeight - 20) + seaHeight - 2) / 2;
+    if (rules.habitat === 'air') next.y += (Math.max(ground, seaHeight) + rules.altitude - next.y) * Math.min(1, delta);
+
+    agent.position.copy(next);
+  }
+
+  tick(delta, threat) {
+    // Long frames (a background tab) would throw everyone across the map
+    delta = Math.min(delta, 0.1);
+
+    const matrix = new THREE.Matrix4();
+    const up = new THREE.Vector3(0, 1, 0);
+
+    for (const [species, rules] of Object.entries(SPECIES)) {
+      const agents = this.agents[species];
+      const population = Math.min(this.config[rules.count], FAUNA_LIMIT);
+
+      // Animals wandering too far from the camera are respawned around it
+      for (let i = agents.length - 1; i >= 0; i--) {
+        if (agents[i].position.distanceTo(threat) > FAUNA_RADIUS * 1.5) agents.splice(i, 1);
+      }
+
+      agents.length = Math.min(agents.length, population);
+
+      // A few spawns per frame, they keep failing until chunks are loaded
+      for (let i = 0; i < 5 && agents.length < population; i++) {
+        const agent = this.#spawn(rules, threat);
+
+        if (agent) agents.push(agent);
+      }
+
+      for (const agent of agents) {
+        const neighbours = agents.filter(other => other !== agent && other.position.distanceTo(agent.position) < 40);
+
+        this.#move(rules, agent, this.#steer(rules, agent, neighbours, threat, delta), delta);
+      }
+
+      const mesh = this.meshes[species];
+
+      agents.forEach((agent, index) => {
+        const heading = agent.velocity.lengthSq() > 0.01 ? agent.velocity : new THREE.Vector3(Math.cos(agent.wander), 0, Math.sin(agent.wander));
+
+        matrix.lookAt(agent.position.clone().add(heading), agent.position, up);
+        matrix.scale(new THREE.Vector3(rules.scale, rules.scale, rules.scale));
+        matrix.setPosition(agent.position);
+
+        mesh.setMatrixAt(index, matrix);
+      });
+
+      mesh.count = agents.length;
+      mesh.instanceMatrix.needsUpdate = true;
+    }
+  }
+}
+
+// Sculpting and painting on top of the generated terrain. It lives on its own
+// grid in world space so it outlasts the chunks and any change to the noise
+class EditLayer {
+  cellSize;
+
+  origin;
+
+  // Edited vertices by grid key as { height, paint, biome }, height is an
+  // offset in 0 to 1 terrain units and paint how much of `biome` shows
+  vertices;
+
+  // Strokes as maps of grid key to { before, after } values
+  undoStack;
+
+  redoStack;
+
+  stroke;
+
+  // Bumped on every change, for autosaving
+  revision;
+
+  constructor({ cellSize, origin }) {
+    this.cellSize = cellSize;
+    this.origin = origin;
+    this.vertices = new Map();
+    this.undoStack = [];
+    this.redoStack = [];
+    this.stroke = null;
+    this.revision = 0;
+  }
+
+  // Vertices packed as [i, j, height, paint, biome, ...], without history
+  toJSON() {
+    const vertices = [];
+
+    this.vertices.forEach(({ height, paint, biome }, key) => vertices.push(...key.split(',').map(Number), height, paint, biome));
+
+    return { cellSize: this.cellSize, origin: this.origin, vertices };
+  }
+
+  static fromJSON({ cellSize, origin, vertices }) {
+    const layer = new EditLayer({ cellSize, origin });
+
+    for (let i = 0; i < vertices.length; i += 5) {
+      const [x, z, height, paint, biome] = vertices.slice(i, i + 5);
+
+      layer.vertices.set(chunkKey(x, z), { height, paint, biome });
+    }
+
+    return layer;
+  }
+
+  toGrid(x, z) {
+    return { i: (x - this.origin) / this.cellSize, j: (z - this.origin) / this.cellSize };
+  }
+
+  toWorld(i, j) {
+    return { x: this.origin + i * this.cellSize, z: this.origin + j * this.cellSize };
+  }
+
+  get(i, j) {
+    return this.vertices.get(chunkKey(i, j)) ?? null;
+  }
+
+  // Values are replaced, never changed, so strokes can keep the old ones
+  set(i, j, value) {
+    const key = chunkKey(i, j);
+
+    if (this.stroke && !this.stroke.has(key)) this.stroke.set(key, { before: this.vertices.get(key) ?? null });
+
+    this.#write(key, value);
+  }
+
+  #write(key, value) {
+    if (!value || (value.height === 0 && value.paint === 0)) this.vertices.delete(key);
+    else this.vertices.set(key, value);
+  }
+
+  // Bilinear height and paint at a world position, the biome is the one
+  // painted the most around it
+  sample(x, z) {
+    const { i, j } = this.toGrid(x, z);
+
+    // Terrain vertices land right on the grid, don't let rounding pull in neighbours
+    const snap = value => (Math.abs(value - Math.round(value)) < 1e-6 ? Math.round(value) : value);
+
+    const u = snap(i);
+    const v = snap(j);
+    const i0 = Math.floor(u);
+    const j0 = Math.floor(v);
+
+    const edit = { height: 0, paint: 0, biome: 0 };
+    let strongest = 0;
+
+    for (const [di, dj] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+      const weight = (di ? u - i0 : 1 - (u - i0)) * (dj ? v - j0 : 1 - (v - j0));
+
+      if (weight === 0) continue;
+
+      const value = this.get(i0 + di, j0 + dj);
+
+      if (!value) continue;
+
+      edit.height += value.height * weight;
+      edit.paint += value.paint * weight;
+
+      if (value.paint * weight > strongest) {
+        strongest = value.paint * weight;
+        edit.biome = value.biome;
+      }
+    }
+
+    return edit;
+  }
+
+  // Whether anything was edited within a world space box
+  touches({ minX, maxX, minZ, maxZ }) {
+    const min = this.toGrid(minX, minZ);
+    const max = this.toGrid(maxX, maxZ);
+
+    for (const key of this.vertices.keys()) {
+      const [i, j] = key.split(',').map(Number);
+
+      if (i >= min.i - 1 && i <= max.i + 1 && j >= min.j - 1 && j <= max.j + 1) return true;
+    }
+
+    return false;
+  }
+
+  // World space box around grid keys
+  getBounds(keys) {
+    const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+
+    for (const key of keys) {
+      const [i, j] = key.split(',').map(Number);
+      const { x, z } = this.toWorld(i, j);
+
+      bounds.minX = Math.min(bounds.minX, x - this.cellSize);
+      bounds.maxX = Math.max(bounds.maxX, x + this.cellSize);
+      bounds.minZ = Math.min(bounds.minZ, z - this.cellSize);
+      bounds.maxZ = Math.max(bounds.maxZ, z + this.cellSize);
+    }
+
+    return bounds;
+  }
+
+  beginStroke() {
+    this.stroke = new Map();
+  }
+
+  endStroke() {
+    const stroke = this.stroke;
+
+    this.stroke = null;
+
+    if (!stroke?.size) return;
+
+    stroke.forEach((change, key) => {
+      change.after = this.vertices.get(key) ?? null;
+    });
+
+    this.undoStack.push(stroke);
+    this.redoStack = [];
+    this.revision++;
+  }
+
+  // Both return the box that changed, or null with nothing to undo or redo
+  undo() {
+    const stroke = this.undoStack.pop();
+
+    if (!stroke) return null;
+
+    stroke.forEach(({ before }, key) => this.#write(key, before));
+    this.redoStack.push(stroke);
+    this.revision++;
+
+    return this.getBounds(stroke.keys());
+  }
+
+  redo() {
+    const stroke = this.redoStack.pop();
+
+    if (!stroke) return null;
+
+    stroke.forEach(({ after }, key) => this.#write(key, after));
+    this.undoStack.push(stroke);
+    this.revision++;
+
+    return this.getBounds(stroke.keys());
+  }
+}
+
+class Terrain {
+  scene;
+
+  workers;
+
+  water;
+
+  textures;
+
+  vegetation;
+
+  weather;
+
+  seaLevel;
+
+  seed;
+
+  // Sizing
+  size;
+
+  chunkSize;
+
+  // Variation
+  octaves;
+
+  persistance;
+
+  lacunarity;
+
+  noiseSource;
+
+  noiseGraph;
+
+  heightMultiplier;
+
+  temperatureScale;
+
+  moistureScale;
+
+  biomeBlend;
+
+  // Config
+  islands;
+
+  islandShape;
+
+  islandCount;
+
+  islandCurve;
+
+  islandSpread;
+
+  heightmap;
+
+  heightmapNoise;
+
+  mask;
+
+  maskStrength;
+
+  erosion;
+
+  erosionIterations;
+
+  erosionRain;
+
+  sedimentCapacity;
+
+  thermalIterations;
+
+  talusAngle;
+
+  rivers;
+
+  riverThreshold;
+
+  riverWidth;
+
+  riverDepth;
+
+  // Volumetric chunks with overhangs and caves instead of a heightfield
+  volumetric;
+
+  overhangStrength;
+
+  overhangScale;
+
+  caveScale;
+
+  caveWidth;
+
+  treeDensity;
+
+  bushDensity;
+
+  grassDensity;
+
+  rockDensity;
+
+  wireframe;
+
+  terrainStyle;
+
+  infinite;
+
+  viewDistance;
+
+  lod;
+
+  lodDebug;
+
+  // Grayscale image used when islandShape is 'mask'
+  islandMask;
+
+  // Grayscale images used when heightmap and mask are on
+  heightmapImage;
+
+  maskImage;
+
+  biomes;
+
+  // Sculpting and painting, kept across rebuilds
+  edits;
+
+  // Climate noise for recolouring edited vertices on this thread
+  noise;
+
+  // Scattered objects from a loaded project by chunk key, used instead of
+  // the generated ones until the chunks are generated again
+  savedScatter;
+
+  chunks;
+
+  pending;
+
+  // Bumped on every rebuild so results of stale jobs are thrown away
+  version;
+
+  center;
+
+  constructor({
+    scene,
+    workers,
+    water,
+    textures,
+    vegetation,
+    weather,
+    seaLevel,
+    seed,
+    size,
+    chunkSize,
+    resolution,
+    octaves,
+    persistance,
+    lacunarity,
+    noiseSource,
+    noiseGraph,
+    heightMultiplier,
+    temperatureScale,
+    moistureScale,
+    biomeBlend,
+    islands,
+    islandShape,
+    islandCount,
+    islandCurve,
+    islandSpread,
+    heightmap,
+    heightmapNoise,
+    mask,
+    maskStrength,
+    erosion,
+    erosionIterations,
+    erosionRain,
+    sedimentCapacity,
+    thermalIterations,
+    talusAngle,
+    rivers,
+    riverThreshold,
+    riverWidth,
+    riverDepth,
+    volumetric,
+    overhangStrength,
+    overhangScale,
+    caveScale,
+    caveWidth,
+    treeDensity,
+    bushDensity,
+    grassDensity,
+    rockDensity,
+    wireframe,
+    terrainStyle,
+    infinite,
+    viewDistance,
+    lod,
+    lodDebug
+  }) {
+    this.scene = scene;
+    this.workers = workers;
+    this.water = water;
+    this.textures = textures;
+    this.vegetation = vegetation;
+    this.weather = weather;
+    this.seaLevel = seaLevel;
+    this.seed = seed;
+    this.size = size;
+    this.chunkSize = chunkSize;
+    this.resolution = resolution;
+    this.octaves = octaves;
+    this.persistance = persistance;
+    this.lacunarity = lacunarity;
+    this.noiseSource = noiseSource;
+    this.noiseGraph = noiseGraph;
+    this.heightMultiplier = heightMultiplier;
+    this.temperatureScale = temperatureScale;
+    this.moistureScale = moistureScale;
+    this.biomeBlend = biomeBlend;
+    this.islands = islands;
+    this.islandShape = islandShape;
+    this.islandCount = islandCount;
+    this.islandCurve = islandCurve;
+    this.islandSpread = islandSpread;
+    this.heightmap = heightmap;
+    this.heightmapNoise = heightmapNoise;
+    this.mask = mask;
+    this.maskStrength = maskStrength;
+    this.erosion = erosion;
+    this.erosionIterations = erosionIterations;
+    this.erosionRain = erosionRain;
+    this.sedimentCapacity = sedimentCapacity;
+    this.thermalIterations = thermalIterations;
+    this.talusAngle = talusAngle;
+    this.rivers = rivers;
+    this.riverThreshold = riverThreshold;
+    this.riverWidth = riverWidth;
+    this.riverDepth = riverDepth;
+    this.volumetric = volumetric;
+    this.overhangStrength = overhangStrength;
+    this.overhangScale = overhangScale;
+    this.caveScale = caveScale;
+    this.caveWidth = caveWidth;
+    this.treeDensity = treeDensity;
+    this.bushDensity = bushDensity;
+    this.grassDensity = grassDensity;
+    this.rockDensity = rockDensity;
+    this.wireframe = wireframe;
+    this.terrainStyle = terrainStyle;
+    this.infinite = infinite;
+    this.viewDistance = viewDistance;
+    this.lod = lod;
+    this.lodDebug = lodDebug;
+
+    this.islandMask = null;
+    this.heightmapImage = null;
+    this.maskImage = null;
+    this.biomes = BIOMES;
+
+    this.edits = new EditLayer({ cellSize: getCellSize(this), origin: -this.chunkSize / 2 });
+    this.noise = null;
+    this.savedScatter = null;
+
+    this.chunks = new Map();
+    this.pending = new Set();
+    this.version = 0;
+    this.center = null;
+  }
+
+  #create() {
+    // Infinite terrain is filled around the camera by stream()
+    if (this.infinite) return;
+
+    for (let z = 0; z < this.size; z++) {
+      for (let x = 0; x < this.size; x++) {
+        this.#requestChunk(x, z);
+      }
+    }
+  }
+
+  // Settings the workers generate chunks from
+  #getJobConfig() {
+    return {
+      seed: this.seed,
+      size: this.size,
+      infinite: this.infinite,
+      viewDistance: this.viewDistance,
+      chunkSize: this.chunkSize,
+      resolution: this.resolution,
+      octaves: this.octaves,
+      persistance: this.persistance,
+      lacunarity: this.lacunarity,
+      noiseSource: this.noiseSource,
+      noiseGraph: this.noiseGraph,
+      heightMultiplier: this.heightMultiplier,
+      temperatureScale: this.temperatureScale,
+      moistureScale: this.moistureScale,
+      biomeBlend: this.biomeBlend,
+      islands: this.islands,
+      islandShape: this.islandShape,
+      islandCount: this.islandCount,
+      islandCurve: this.islandCurve,
+      islandSpread: this.islandSpread,
+      heightmap: this.heightmap,
+      heightmapNoise: this.heightmapNoise,
+      mask: this.mask,
+      maskStrength: this.maskStrength,
+      erosion: this.erosion,
+      erosionIterations: this.erosionIterations,
+      erosionRain: this.erosionRain,
+      sedimentCapacity: this.sedimentCapacity,
+      thermalIterations: this.thermalIterations,
+      talusAngle: this.talusAngle,
+      rivers: this.rivers,
+      riverThreshold: this.riverThreshold,
+      riverWidth: this.riverWidth,
+      riverDepth: this.riverDepth,
+      volumetric: this.volumetric,
+      overhangStrength: this.overhangStrength,
+      overhangScale: this.overhangScale,
+      caveScale: this.caveScale,
+      caveWidth: this.caveWidth,
+      treeDensity: this.treeDensity,
+      bushDensity: this.bushDensity,
+      grassDensity: this.grassDensity,
+      rockDensity: this.rockDensity,
+      islandMask: this.islandMask,
+      heightmapImage: this.heightmapImage,
+      maskImage: this.maskImage,
+      biomes: this.biomes,
+    };
+  }
+
+  #requestChunk(x, z) {
+    const key = chunkKey(x, z);
+    const version = this.version;
+    const offset = { z: z * this.chunkSize, x: x * this.chunkSize };
+
+    this.pending.add(key);
+
+    this.workers.run({ config: this.#getJobConfig(), offset }, this).then(result => {
+      if (version !== this.version) return;
+
+      this.pending.delete(key);
+
+      // Cancelled jobs were out of view, a failed one is asked for again while
+      // it's still wanted since nothing else would
+      if (!result) {
+        if (!this.infinite || this.#isInView(x, z, this.viewDistance)) this.#requestChunk(x, z);
+
+        return;
+      }
+
+      // The camera may have moved on while the chunk was generating
+      if (this.infinite && !this.#isInView(x, z, this.viewDistance + 1)) return;
+
+      this.#addChunk(key, new Chunk({
+        size: this.chunkSize,
+        offset,
+        resolution: this.resolution,
+        heightMultiplier: this.heightMultiplier,
+        grid: result.heights,
+        colors: result.colors,
+        normals: result.normals,
+        biomeMap: result.biomes,
+        instances: this.savedScatter?.get(key) ?? result.scatter,
+        freshwater: result.freshwater,
+        volume: result.volume,
+        water: this.water,
+        textures: this.textures,
+        vegetation: this.vegetation,
+        weather: this.weather,
+        seaLevel: this.seaLevel,
+        islands: this.islands,
+        wireframe: this.wireframe,
+        terrainStyle: this.terrainStyle,
+        lod: this.lod,
+        lodDebug: this.lodDebug,
+      }));
+    });
+  }
+
+  #addChunk(key, chunk) {
+    this.chunks.set(key, chunk);
+    this.scene.add(chunk.mesh, chunk.water, chunk.freshwater, chunk.scatter);
+
+    // Neighbours are refreshed too, their border normals see this chunk
+    const bounds = this.#getChunkBounds(chunk);
+
+    if (this.edits.touches(bounds)) this.#refreshEdits(bounds);
+  }
+
+  #removeChunk(key) {
+    const chunk = this.chunks.get(key);
+
+    this.scene.remove(chunk.mesh, chunk.water, chunk.freshwater, chunk.scatter);
+    chunk.dispose();
+
+    this.chunks.delete(key);
+  }
+
+  #isInView(x, z, distance) {
+    if (!this.center) return false;
+
+    return Math.max(Math.abs(x - this.center.x), Math.abs(z - this.center.z)) <= distance;
+  }
+
+  stream(position) {
+    if (!this.infinite) return;
+
+    const center = {
+      x: Math.round(position.x / this.chunkSize),
+      z: Math.round(position.z / this.chunkSize)
+    };
+
+    if (this.center && this.center.x === center.x && this.center.z === center.z) return;
+
+    this.center = center;
+
+    // Drop chunks one ring past the view distance so they don't flicker at the edge
+    for (const [key, chunk] of this.chunks) {
+      const x = chunk.offset.x / this.chunkSize;
+      const z = chunk.offset.z / this.chunkSize;
+
+      if (!this.#isInView(x, z, this.viewDistance + 1)) this.#removeChunk(key);
+    }
+
+    // Chunks still waiting for a worker that the camera has left behind, out
+    // as far as chunks are dropped so loaded ones still get regenerated
+    this.workers.cancel(this, ({ offset }) => !this.#isInView(offset.x / this.chunkSize, offset.z / this.chunkSize, this.viewDistance + 1));
+
+    // Queue missing chunks nearest first so they appear from the camera outwards
+    const missing = [];
+
+    for (let z = center.z - this.viewDistance; z <= center.z + this.viewDistance; z++) {
+      for (let x = center.x - this.viewDistance; x <= center.x + this.viewDistance; x++) {
+        const key = chunkKey(x, z);
+
+        if (this.chunks.has(key) || this.pending.has(key)) continue;
+
+        missing.push({ x, z, distance: (x - center.x) ** 2 + (z - center.z) ** 2 });
+      }
+    }
+
+    missing
+      .sort((a, b) => a.distance - b.distance)
+      .forEach(({ x, z }) => this.#requestChunk(x, z));
+  }
+
+  destroy() {
+    this.version++;
+    this.workers.cancel(this);
+    this.pending.clear();
+    this.center = null;
+
+    for (const key of [...this.chunks.keys()]) this.#removeChunk(key);
+  }
+
+  // Takes new settings and returns what the changed ones invalidate
+  update(config) {
+    const levels = new Set();
+
+    Object.entries(CONFIG_INVALIDATIONS).forEach(([key, level]) => {
+      if (this[key] === config[key]) return;
+
+      this[key] = config[key];
+      levels.add(level);
+    });
+
+    return levels;
+  }
+
+  // Takes new settings doing only the work the changed ones need
+  reconfigure(config) {
+    const levels = this.update(config);
+
+    this.setSeaLevel(config.seaLevel);
+
+    if (levels.has('layout')) {
+      this.#rebuild();
+
+      return;
+    }
+
+    if (levels.has('heights')) this.#regenerate('heights');
+    else if (levels.has('colors')) this.#regenerate('colors');
+
+    if (levels.has('meshes')) this.chunks.forEach(chunk => this.#rebuildMesh(chunk));
+    else if (levels.has('material')) this.chunks.forEach(chunk => chunk.setWireframe(this.wireframe));
+
+    // stream() fills the new view distance on the next frame
+    if (levels.has('view')) this.center = null;
+  }
+
+  create() {
+    this.#create();
+  }
+
+  #rebuild() {
+    this.savedScatter = null;
+
+    this.destroy();
+    this.create();
+  }
+
+  // Generates the loaded chunks again keeping their meshes, `level` is
+  // 'heights' for everything or 'colors' to reuse the heights and normals
+  #regenerate(level) {
+    const pending = [...this.pending];
+
+    this.savedScatter = null;
+    this.version++;
+    this.workers.cancel(this);
+    this.pending.clear();
+
+    // Chunks still on their way are requested again with the new settings
+    pending.forEach(key => this.#requestChunk(...key.split(',').map(Number)));
+
+    const version = this.version;
+
+    this.chunks.forEach((chunk, key) => {
+      const surface = level === 'colors' ? { heights: chunk.base.grid, normals: chunk.base.normals } : null;
+
+      this.workers.run({ config: this.#getJobConfig(), offset: chunk.offset, surface }, this).then(result => {
+        if (!result || version !== this.version || this.chunks.get(key) !== chunk) return;
+
+        chunk.setData({
+          heightMultiplier: this.heightMultiplier,
+          grid: result.heights,
+          colors: result.colors,
+          normals: result.normals,
+          biomeMap: result.biomes,
+          instances: result.scatter,
+          freshwater: result.freshwater,
+          volume: result.volume,
+        });
+
+        const bounds = this.#getChunkBounds(chunk);
+
+        if (this.edits.touches(bounds)) this.#refreshEdits(bounds);
+      });
+    });
+  }
+
+  // Swaps the mesh of a chunk for one built with the current level of detail settings
+  #rebuildMesh(chunk) {
+    this.scene.remove(chunk.mesh);
+
+    chunk.setDetail({ wireframe: this.wireframe, terrainStyle: this.terrainStyle, lod: this.lod, lodDebug: this.lodDebug });
+
+    this.scene.add(chunk.mesh);
+  }
+
+  setIslandMask(mask) {
+    this.islandMask = mask;
+
+    this.#regenerate('heights');
+  }
+
+  setHeightmap(image) {
+    this.heightmapImage = image;
+
+    this.#regenerate('heights');
+  }
+
+  setMask(image) {
+    this.maskImage = image;
+
+    this.#regenerate('heights');
+  }
+
+  // Finds the chunk under a world position and the fractional grid cell in it
+  #locate(x, z) {
+    const chunk = this.chunks.get(chunkKey(Math.round(x / this.chunkSize), Math.round(z / this.chunkSize)));
+
+    if (!chunk) return null;
+
+    const cellSize = getCellSize(this);
+
+    return {
+      chunk,
+      x: Math.max(0, Math.min(chunk.gridSize - 1, (x - chunk.offset.x + this.chunkSize / 2) / cellSize)),
+      z: Math.max(0, Math.min(chunk.gridSize - 1, (z - chunk.offset.z + this.chunkSize / 2) / cellSize)),
+    };
+  }
+
+  // The highest point of the volumetric chunks at a world position. Their
+  // meshes reach a little past their edges, so the neighbours are asked too
+  #getVolumeTop(x, z) {
+    const cellSize = getCellSize(this);
+    const keys = new Set();
+
+    [-cellSize, cellSize].forEach(dz => [-cellSize, cellSize].forEach(dx => {
+      keys.add(chunkKey(Math.round((x + dx) / this.chunkSize), Math.round((z + dz) / this.chunkSize)));
+    }));
+
+    return [...keys].reduce((top, key) => {
+      const chunk = this.chunks.get(key);
+      const point = chunk?.volumeTop?.(x - chunk.offset.x, z - chunk.offset.z);
+
+      return point && (!top || point.height > top.height) ? point : top;
+    }, null);
+  }
+
+  // The triangle of the full detail mesh under a world position. Each grid
+  // cell is split along its b-c diagonal the same way #createGeometry does,
+  // volumetric chunks use the top of their mesh
+  #getTriangle(x, z) {
+    if (this.volumetric) {
+      const top = this.#getVolumeTop(x, z);
+
+      if (!top) return null;
+
+      const [normalX, normalY, normalZ] = top.normal;
+      const cellSize = getCellSize(this);
+
+      return { height: top.height, slopeX: -normalX / normalY * cellSize, slopeZ: -normalZ / normalY * cellSize };
+    }
+
+    const cell = this.#locate(x, z);
+
+    if (!cell) return null;
+
+    const { chunk } = cell;
+    const gridSize = chunk.gridSize;
+
+    const x0 = Math.min(Math.floor(cell.x), gridSize - 2);
+    const z0 = Math.min(Math.floor(cell.z), gridSize - 2);
+    const fx = cell.x - x0;
+    const fz = cell.z - z0;
+
+    const index = z0 * gridSize + x0;
+    const surface = index => getSurfaceHeight(chunk.grid[index], this.heightMultiplier);
+
+    const a = surface(index);
+    const b = surface(index + 1);
+    const c = surface(index + gridSize);
+    const d = surface(index + gridSize + 1);
+
+    // Height change per cell along x and z within the triangle
+    if (fx + fz <= 1) {
+      return { height: a + (b - a) * fx + (c - a) * fz, slopeX: b - a, slopeZ: c - a };
+    }
+
+    return { height: d + (c - d) * (1 - fx) + (b - d) * (1 - fz), slopeX: d - c, slopeZ: d - b };
+  }
+
+  // Ground height at a world position, null where no chunk is loaded yet
+  getHeightAt(x, z) {
+    return this.#getTriangle(x, z)?.height ?? null;
+  }
+
+  // Normal of the (flat shaded) ground at a world position, null where no
+  // chunk is loaded yet
+  getNormalAt(x, z, target = new THREE.Vector3()) {
+    const triangle = this.#getTriangle(x, z);
+
+    if (!triangle) return null;
+
+    return target.set(-triangle.slopeX, getCellSize(this), -triangle.slopeZ).normalize();
+  }
+
+  // First hit of a ray with the loaded ground as { distance, point, normal },
+  // or null. Along the ray the ground is linear between the grid lines and
+  // cell diagonals it crosses, so checking each of those pieces finds the
+  // same hit as raycasting the rendered triangles. Volumetric ground can
+  // overhang, so its meshes are raycast directly
+  raycast(origin, direction, far = this.chunkSize * 8) {
+    if (this.volumetric) {
+      const raycaster = new THREE.Raycaster(origin, direction.clone().normalize(), 0, far);
+      const [hit] = raycaster.intersectObjects([...this.chunks.values()].map(chunk => chunk.mesh));
+
+      if (!hit) return null;
+
+      // Facing back along the ray, from whichever side it hit
+      const normal = hit.face.normal.clone();
+
+      if (normal.dot(raycaster.ray.direction) > 0) normal.negate();
+
+      return { distance: hit.distance, point: hit.point, normal };
+    }
+
+    const ray = new THREE.Ray(origin, direction.clone().normalize());
+    const cellSize = getCellSize(this);
+    const point = new THREE.Vector3();
+
+    // Position in grid cells, grid lines fall on whole numbers in every chunk
+    const u = ray.origin.x / cellSize + (this.chunkSize / cellSize) / 2;
+    const v = ray.origin.z / cellSize + (this.chunkSize / cellSize) / 2;
+    const du = ray.direction.x / cellSize;
+    const dv = ray.direction.z / cellSize;
+
+    // Distances to the next crossing of lines u = k, v = k and u + v = k
+    const lines = [[u, du], [v, dv], [u + v, du + dv]].map(([start, speed]) => {
+      if (Math.abs(speed) < 1e-12) return { next: Infinity };
+
+      const first = speed > 0 ? Math.floor(start) + 1 : Math.ceil(start) - 1;
+
+      return { next: (first - start) / speed, every: 1 / Math.abs(speed) };
+    });
+
+    const clearance = distance => {
+      ray.at(distance, point);
+
+      const height = this.getHeightAt(point.x, point.z);
+
+      return height === null ? null : point.y - height;
+    };
+
+    let near = 0;
+
+    while (near < far) {
+      const line = lines.reduce((closest, line) => (line.next < closest.next ? line : closest));
+      const distance = Math.min(line.next, far);
+
+      line.next += line.every ?? 0;
+
+      if (distance <= near) continue;
+
+      // Sample inside the piece and extend the line to its ends, points
+      // right on a chunk border may be looked up in an unloaded neighbour
+      const length = distance - near;
+      const a = clearance(near + length / 4);
+      const b = clearance(near + length * 3 / 4);
+
+      if (a !== null && b !== null) {
+        const start = a - (b - a) / 2;
+        const end = b + (b - a) / 2;
+
+        // The mesh is double sided, so crossings from below count too
+        if (start >= 0 !== end >= 0 || start === 0) {
+          const hit = near + length * start / (start - end || 1);
+
+          ray.at(hit, point);
+
+          return { distance: hit, point: point.clone(), normal: this.getNormalAt(point.x, point.z) };
+        }
+      }
+
+      near = distance;
+    }
+
+    return null;
+  }
+
+  getBiomeAt(x, z) {
+    const cell = this.#locate(x, z);
+
+    if (!cell) return null;
+
+    return this.biomes[cell.chunk.biomeMap[Math.round(cell.z) * cell.chunk.gridSize + Math.round(cell.x)]];
+  }
+
+  getSeaHeight() {
+    return this.seaLevel * this.heightMultiplier;
+  }
+
+  // Closest point over a river or lake within `radius` of a world position, or null
+  getNearestFreshwater(position, radius) {
+    let nearest = null;
+    let closest = radius;
+
+    this.chunks.forEach(chunk => {
+      const { positions, depths } = chunk.freshwaterData;
+
+      if (Math.max(Math.abs(chunk.offset.x - position.x), Math.abs(chunk.offset.z - position.z)) > this.chunkSize / 2 + radius) return;
+
+      for (let i = 0; i < depths.length; i++) {
+        if (depths[i] <= 0) continue;
+
+        const x = chunk.offset.x + positions[i * 3];
+        const z = chunk.offset.z + positions[i * 3 + 2];
+        const distance = Math.hypot(x - position.x, z - position.z);
+
+        if (distance < closest) {
+          closest = distance;
+          nearest = new THREE.Vector3(x, 0, z);
+        }
+      }
+    });
+
+    return nearest;
+  }
+
+  setSeaLevel(seaLevel) {
+    if (seaLevel === this.seaLevel) return;
+
+    this.seaLevel = seaLevel;
+
+    this.chunks.forEach(chunk => chunk.setSeaLevel(seaLevel));
+  }
+
+  setBiomes(biomes) {
+    this.biomes = biomes;
+
+    this.#regenerate('colors');
+  }
+
+  // Every loaded chunk merged into one full detail geometry
+  createExportGeometry() {
+    if (!this.chunks.size) return null;
+
+    const geometries = [...this.chunks.values()].map(chunk => chunk.createExportGeometry());
+    const geometry = mergeGeometries(geometries);
+
+    geometries.forEach(geometry => geometry.dispose());
+
+    return geometry;
+  }
+
+  // Heights (in world units) and colours of every loaded chunk stitched into
+  // one grid, neighbours share their border vertices and gaps are left at 0
+  getHeightmap() {
+    if (!this.chunks.size) return null;
+
+    const chunks = [...this.chunks.values()];
+    const cells = getGridSize(this) - 1;
+
+    const xs = chunks.map(chunk => Math.round(chunk.offset.x / this.chunkSize));
+    const zs = chunks.map(chunk => Math.round(chunk.offset.z / this.chunkSize));
+    const minX = Math.min(...xs);
+    const minZ = Math.min(...zs);
+
+    const width = (Math.max(...xs) - minX + 1) * cells + 1;
+    const height = (Math.max(...zs) - minZ + 1) * cells + 1;
+
+    const heights = new Float32Array(width * height);
+    const colors = new Float32Array(width * height * 3);
+
+    chunks.forEach((chunk, index) => {
+      const left = (xs[index] - minX) * cells;
+      const top = (zs[index] - minZ) * cells;
+
+      for (let z = 0; z < chunk.gridSize; z++) {
+        for (let x = 0; x < chunk.gridSize; x++) {
+          const from = z * chunk.gridSize + x;
+          const to = (top + z) * width + left + x;
+
+          heights[to] = getSurfaceHeight(chunk.grid[from], this.heightMultiplier);
+          colors.set(chunk.colors.subarray(from * 3, from * 3 + 3), to * 3);
+        }
+      }
+    });
+
+    return {
+      width,
+      height,
+      cellSize: getCellSize(this),
+      origin: { x: (minX - 0.5) * this.chunkSize, z: (minZ - 0.5) * this.chunkSize },
+      heights,
+      colors,
+    };
+  }
+
+  #getChunkBounds(chunk) {
+    return {
+      minX: chunk.offset.x - this.chunkSize / 2,
+      maxX: chunk.offset.x + this.chunkSize / 2,
+      minZ: chunk.offset.z - this.chunkSize / 2,
+      maxZ: chunk.offset.z + this.chunkSize / 2,
+    };
+  }
+
+  // Generated heights plus the edit layer, recoloured where it was edited
+  #applyEdits(chunk) {
+    const { base, gridSize } = chunk;
+    const cellSize = getCellSize(this);
+
+    if (this.noise?.seed !== this.seed) this.noise = new Noise(this.seed);
+
+    for (let z = 0; z < gridSize; z++) {
+      for (let x = 0; x < gridSize; x++) {
+        const index = z * gridSize + x;
+        const position = { x: chunk.offset.x - this.chunkSize / 2 + x * cellSize, z: chunk.offset.z - this.chunkSize / 2 + z * cellSize };
+        const edit = this.edits.sample(position.x, position.z);
+
+        if (edit.height === 0 && edit.paint === 0) {
+          chunk.grid[index] = base.grid[index];
+          chunk.colors.set(base.colors.subarray(index * 3, index * 3 + 3), index * 3);
+          chunk.biomeMap[index] = base.biomeMap[index];
+
+          continue;
+        }
+
+        const height = base.grid[index] + edit.height;
+        const climate = getClimate(this.noise, this, position, height);
+        const weights = getBiomeWeights(climate, this.biomes, this.biomeBlend);
+
+        let color = getColor(height, climate, this.biomes, this.biomeBlend);
+        let biome = weights.indexOf(Math.max(...weights));
+
+        if (edit.paint > 0) {
+          const paint = getRampColor(this.biomes[edit.biome], height);
+
+          color = {
+            r: color.r + (paint.r - color.r) * edit.paint,
+            g: color.g + (paint.g - color.g) * edit.paint,
+            b: color.b + (paint.b - color.b) * edit.paint,
+          };
+
+          if (edit.paint > 0.5) biome = edit.biome;
+        }
+
+        chunk.grid[index] = height;
+        chunk.colors.set([color.r, color.g, color.b], index * 3);
+        chunk.biomeMap[index] = biome;
+      }
+    }
+  }
+
+  // Central differences like the workers use, around edits only so the
+  // generated normals stay where nothing changed
+  #applyEditNormals(chunk) {
+    const { base, gridSize } = chunk;
+    const cellSize = getCellSize(this);
+
+    const world = (x, z) => ({ x: chunk.offset.x - this.chunkSize / 2 + x * cellSize, z: chunk.offset.z - this.chunkSize / 2 + z * cellSize });
+
+    // Outside the chunk the neighbour answers, or the vertex itself when it isn't loaded
+    const surface = (x, z, fallback) => {
+      if (x >= 0 && z >= 0 && x < gridSize && z < gridSize) return getSurfaceHeight(chunk.grid[z * gridSize + x], this.heightMultiplier);
+
+      const position = world(x, z);
+
+      return this.getHeightAt(position.x, position.z) ?? fallback;
+    };
+
+    const isEdited = (x, z) => {
+      const position = world(x, z);
+
+      return this.edits.sample(position.x, position.z).height !== 0;
+    };
+
+    for (let z = 0; z < gridSize; z++) {
+      for (let x = 0; x < gridSize; x++) {
+        const index = z * gridSize + x;
+
+        if (![[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]].some(([dx, dz]) => isEdited(x + dx, z + dz))) {
+          chunk.normals.set(base.normals.subarray(index * 3, index * 3 + 3), index * 3);
+
+          continue;
+        }
+
+        const center = surface(x, z);
+
+        const normal = [
+          surface(x - 1, z, center) - surface(x + 1, z, center),
+          2 * cellSize,
+          surface(x, z - 1, center) - surface(x, z + 1, center)
+        ];
+        const length = Math.hypot(...normal);
+
+        chunk.normals.set(normal.map(value => value / length), index * 3);
+      }
+    }
+  }
+
+  // Re-applies the edit layer to every chunk in a world space box
+  #refreshEdits({ minX, maxX, minZ, maxZ }) {
+    const cellSize = getCellSize(this);
+
+    const chunks = [...this.chunks.values()].filter(chunk => {
+      const bounds = this.#getChunkBounds(chunk);
+
+      return bounds.minX <= maxX + cellSize && bounds.maxX >= minX - cellSize
+        && bounds.minZ <= maxZ + cellSize && bounds.maxZ >= minZ - cellSize;
+    });
+
+    // Every height first, normals on chunk borders read the neighbours
+    chunks.forEach(chunk => this.#applyEdits(chunk));
+    chunks.forEach(chunk => this.#applyEditNormals(chunk));
+    chunks.forEach(chunk => chunk.refresh((x, z) => this.getHeightAt(x, z)));
+  }
+
+  // One dab of a brush at a world position. `strength` is how much this dab
+  // does (0 to 1), `level` the height flattening goes to and `biome` the
+  // index of the biome painted
+  sculpt({ tool, x, z, radius, strength, level, biome }) {
+    // Brushes edit the heightfield, volumetric chunks are only built from the density
+    if (this.volumetric) return;
+
+    const edits = this.edits;
+    const { i, j } = edits.toGrid(x, z);
+    const reach = radius / edits.cellSize;
+
+    for (let gj = Math.ceil(j - reach); gj <= Math.floor(j + reach); gj++) {
+      for (let gi = Math.ceil(i - reach); gi <= Math.floor(i + reach); gi++) {
+        const position = edits.toWorld(gi, gj);
+        const distance = Math.hypot(position.x - x, position.z - z);
+
+        if (distance > radius) continue;
+
+        const height = this.getHeightAt(position.x, position.z);
+
+        if (height === null) continue;
+
+        const amount = strength * smoothstep(0, 1, 1 - distance / radius);
+        const value = edits.get(gi, gj) ?? { height: 0, paint: 0, biome };
+
+        // Change in world units
+        let change = 0;
+
+        if (tool === 'raise') change = amount * this.heightMultiplier * 0.1;
+        if (tool === 'lower') change = -amount * this.heightMultiplier * 0.1;
+        if (tool === 'flatten') change = (level - height) * Math.min(1, amount * 5);
+
+        if (tool === 'smooth') {
+          const around = [[-1, 0], [1, 0], [0, -1], [0, 1]]
+            .map(([dx, dz]) => this.getHeightAt(position.x + dx * edits.cellSize, position.z + dz * edits.cellSize) ?? height);
+
+          change = (around.reduce((sum, value) => sum + value, 0) / around.length - height) * Math.min(1, amount * 5);
+        }
+
+        if (tool === 'paint') {
+          // Another biome paints over the old one from scratch
+          const paint = value.biome === biome ? value.paint : 0;
+
+          edits.set(gi, gj, { ...value, paint: Math.min(1, paint + amount * 5), biome });
+        } else {
+          edits.set(gi, gj, { ...value, height: value.height + change / this.heightMultiplier });
+        }
+      }
+    }
+
+    this.#refreshEdits({ minX: x - radius, maxX: x + radius, minZ: z - radius, maxZ: z + radius });
+  }
+
+  beginStroke() {
+    this.edits.beginStroke();
+  }
+
+  endStroke() {
+    this.edits.endStroke();
+  }
+
+  undo() {
+    const bounds = this.edits.undo();
+
+    if (bounds) this.#refreshEdits(bounds);
+  }
+
+  redo() {
+    const bounds = this.edits.redo();
+
+    if (bounds) this.#refreshEdits(bounds);
+  }
+
+  // Replaces the edit layer, with its history, and refreshes every chunk
+  setEdits(edits) {
+    const bounds = this.edits.getBounds(this.edits.vertices.keys());
+
+    this.edits = edits;
+
+    [bounds, edits.getBounds(edits.vertices.keys())].forEach(bounds => {
+      if (Number.isFinite(bounds.minX)) this.#refreshEdits(bounds);
+    });
+  }
+
+  // Scattered objects of every loaded chunk by chunk key
+  getScatter() {
+    const scatter = {};
+
+    this.chunks.forEach((chunk, key) => {
+      scatter[key] = chunk.instances;
+    });
+
+    return scatter;
+  }
+
+  // Removes every edit as one stroke, so it can be undone
+  clearEdits() {
+    const keys = [...this.edits.vertices.keys()];
+
+    if (!keys.length) return;
+
+    this.edits.beginStroke();
+    keys.forEach(key => this.edits.set(...key.split(',').map(Number), null));
+    this.edits.endStroke();
+
+    this.#refreshEdits(this.edits.getBounds(keys));
+  }
+
+  // Hash of the settings the chunks are built from, of this terrain or of a config
+  hash(config = this) {
+    return JSON.stringify(Object.keys(CONFIG_INVALIDATIONS).map(key => config[key]));
+  }
+}
+
+class Chunk {
+  size;
+
+  offset;
+
+  resolution;
+
+  heightMultiplier;
+
+  islands;
+
+  wireframe;
+
+  terrainStyle;
+
+  lod;
+
+  lodDebug;
+
+  // Generated
+  grid;
+
+  colors;
+
+  normals;
+
+  // Index of the dominant biome of each vertex
+  biomeMap;
+
+  // Scattered objects per category, packed as [x, y, z, scale, rotation]
+  instances;
+
+  // River and lake surfaces, in chunk space
+  freshwaterData;
+
+  // Mesh of a volumetric chunk in chunk space, null for heightfield chunks
+  volume;
+
+  // Highest point of the volume mesh at a position in chunk space, see createVolumeLookup
+  volumeTop;
+
+  // Generated data before any sculpting or painting
+  base;
+
+  gridSize;
+
+  textures;
+
+  vegetation;
+
+  weather;
+
+  seaLevel;
+
+  // Calculated
+  material;
+
+  mesh;
+
+  water;
+
+  freshwater;
+
+  scatter;
+
+  constructor({ size, offset, resolution, heightMultiplier, islands, wireframe, terrainStyle, lod, lodDebug, grid, colors, normals, biomeMap, instances, freshwater, volume, water, textures, vegetation, weather, seaLevel }) {
+    this.size = size;
+    this.offset = offset;
+    this.resolution = resolution;
+    this.heightMultiplier = heightMultiplier;
+    this.islands = islands;
+    this.wireframe = wireframe;
+    this.terrainStyle = terrainStyle;
+    this.lod = lod;
+    this.lodDebug = lodDebug;
+    this.grid = grid;
+    this.colors = colors;
+    this.normals = normals;
+    this.biomeMap = biomeMap;
+    this.instances = instances;
+    this.freshwaterData = freshwater;
+    this.volume = volume;
+    this.volumeTop = volume ? createVolumeLookup({ chunkSize: size, resolution }, volume) : null;
+    this.textures = textures;
+    this.vegetation = vegetation;
+    this.weather = weather;
+
+    this.base = { grid: grid.slice(), colors: colors.slice(), normals: normals.slice(), biomeMap: biomeMap.slice() };
+
+    this.gridSize = getGridSize({ chunkSize: size, resolution });
+    this.mesh = this.#createMesh();
+    this.water = this.#createWater(water);
+    this.freshwater = this.#createFreshwater(water);
+
+    this.scatter = new THREE.Group();
+    this.scatter.position.set(this.offset.x, 0, this.offset.z);
+    this.setSeaLevel(seaLevel);
+  }
+
+  setSeaLevel(seaLevel) {
+    this.seaLevel = seaLevel;
+
+    this.scatter.children.forEach(mesh => mesh.dispose());
+    this.scatter.clear();
+
+    this.scatter.add(...this.vegetation.createMeshes(this.instances, seaLevel * this.heightMultiplier));
+  }
+
+  // Builds the chunk surface sampling every `step` grid vertices, always
+  // keeping the last row/column so every level shares the chunk borders
+  // `display` adds the level of detail skirts and debug colours
+  #createGeometry(step, level, display = true) {
+    const gridSize = this.gridSize;
+    const cellSize = getCellSize({ chunkSize: this.size, resolution: this.resolution });
+
+    const samples = [];
+    for (let i = 0; i < gridSize - 1; i += step) samples.push(i);
+    samples.push(gridSize - 1);
+
+    const count = samples.length;
+
+    const positions = [];
+    const colors = [];
+    const normals = [];
+    const indices = [];
+
+    // Grid index and drop of every vertex, to rewrite them after edits
+    const vertices = [];
+
+    const addVertex = (x, z, drop = 0) => {
+      const index = z * gridSize + x;
+      const height = this.grid[index];
+
+      vertices.push(index, drop);
+
+      positions.push(
+        x * cellSize - this.size / 2,
+        getSurfaceHeight(height, this.heightMultiplier) - drop,
+        z * cellSize - this.size / 2
+      );
+      normals.push(...this.normals.subarray(index * 3, index * 3 + 3));
+
+      if (display && this.lodDebug) {
+        const color = LOD_DEBUG_COLORS[level];
+
+        colors.push(color.r, color.g, color.b);
+      } else {
+        colors.push(...this.colors.subarray(index * 3, index * 3 + 3));
+      }
+
+      return positions.length / 3 - 1;
+    };
+
+    for (let z = 0; z < count; z++) {
+      for (let x = 0; x < count; x++) {
+        addVertex(samples[x], samples[z]);
+      }
+    }
+
+    for (let z = 0; z < count - 1; z++) {
+      for (let x = 0; x < count - 1; x++) {
+        const a = z * count + x;
+        const b = a + 1;
+        const c = a + count;
+        const d = c + 1;
+
+        indices.push(a, c, b, b, c, d);
+      }
+    }
+
+    // Skirts hang a strip below each border to hide cracks against
+    // neighbours rendered at a different level of detail
+    if (display && this.lod) {
+      const depth = this.heightMultiplier * 0.1;
+
+      const borders = [
+        samples.map(x => [x, 0]),
+        samples.map(z => [gridSize - 1, z]),
+        samples.map(x => [x, gridSize - 1]).reverse(),
+        samples.map(z => [0, z]).reverse(),
+      ];
+
+      for (const border of borders) {
+        for (let i = 0; i < border.length - 1; i++) {
+          const a = addVertex(...border[i]);
+          const b = addVertex(...border[i + 1]);
+          const c = addVertex(...border[i], depth);
+          const d = addVertex(...border[i + 1], depth);
+
+          indices.push(a, c, b, b, c, d);
+        }
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setIndex(indices);
+
+    geometry.userData = { vertices, debug: display && this.lodDebug };
+
+    return geometry;
+  }
+
+  #updateGeometry(geometry) {
+    const { vertices, debug } = geometry.userData;
+    const { position, normal, color } = geometry.attributes;
+
+    for (let i = 0; i < vertices.length / 2; i++) {
+      const index = vertices[i * 2];
+
+      position.setY(i, getSurfaceHeight(this.grid[index], this.heightMultiplier) - vertices[i * 2 + 1]);
+      normal.setXYZ(i, ...this.normals.subarray(index * 3, index * 3 + 3));
+
+      if (!debug) color.setXYZ(i, ...this.colors.subarray(index * 3, index * 3 + 3));
+    }
+
+    position.needsUpdate = true;
+    normal.needsUpdate = true;
+    color.needsUpdate = true;
+
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+  }
+
+  // Rewrites the surface, water floor and vegetation heights in place after
+  // the grid, colours or normals were edited
+  refresh(getHeightAt) {
+    Object.values(this.instances).forEach(instances => {
+      for (let i = 0; i < instances.length; i += 5) {
+        instances[i + 1] = getHeightAt(this.offset.x + instances[i], this.offset.z + instances[i + 2]) ?? instances[i + 1];
+      }
+    });
+
+    this.#redraw();
+  }
+
+  // Takes newly generated data for the same grid, the geometry is
+  // rewritten in place instead of built again
+  setData({ heightMultiplier, grid, colors, normals, biomeMap, instances, freshwater, volume }) {
+    this.heightMultiplier = heightMultiplier;
+    this.grid = grid;
+    this.colors = colors;
+    this.normals = normals;
+    this.biomeMap = biomeMap;
+    this.instances = instances;
+    this.freshwaterData = freshwater;
+    this.volume = volume;
+    this.volumeTop = volume ? createVolumeLookup({ chunkSize: this.size, resolution: this.resolution }, volume) : null;
+
+    this.base = { grid: grid.slice(), colors: colors.slice(), normals: normals.slice(), biomeMap: biomeMap.slice() };
+
+    // The water reaches as high as the terrain
+    this.water.geometry.computeBoundingSphere();
+    this.water.geometry.boundingSphere.radius += this.heightMultiplier;
+
+    this.freshwater.geometry.dispose();
+    this.freshwater.geometry = this.#createFreshwaterGeometry();
+
+    if (this.volume) {
+      this.mesh.geometry.dispose();
+      this.mesh.geometry = this.#createVolumeGeometry();
+    }
+
+    this.#redraw();
+  }
+
+  setWireframe(wireframe) {
+    this.wireframe = wireframe;
+    this.material.wireframe = wireframe;
+  }
+
+  // Builds the mesh again for other level of detail or style settings
+  setDetail({ wireframe, terrainStyle, lod, lodDebug }) {
+    this.#disposeMesh();
+
+    this.wireframe = wireframe;
+    this.terrainStyle = terrainStyle;
+    this.lod = lod;
+    this.lodDebug = lodDebug;
+
+    this.mesh = this.#createMesh();
+  }
+
+  #redraw() {
+    const meshes = this.mesh.isLOD ? this.mesh.levels.map(level => level.object) : [this.mesh];
+
+    // Volumetric meshes don't follow the grid
+    if (!this.volume) meshes.forEach(mesh => this.#updateGeometry(mesh.geometry));
+
+    const floorHeight = this.water.geometry.attributes.floorHeight;
+
+    for (let i = 0; i < this.grid.length; i++) floorHeight.setX(i, getSurfaceHeight(this.grid[i], this.heightMultiplier));
+
+    floorHeight.needsUpdate = true;
+
+    this.setSeaLevel(this.seaLevel);
+  }
+
+  #createMesh() {
+    const gridSize = this.gridSize;
+
+    // Level of detail colours show through the flat shaded style only
+    const textured = this.terrainStyle === 'textured' && !this.lodDebug;
+
+    this.material = new THREE.MeshStandardMaterial({
+      vertexColors: true,
+      roughness: 0.95,
+      metalness: 0.2,
+      wireframe: this.wireframe,
+      side: THREE.DoubleSide,
+      flatShading: !textured,
+    });
+
+    this.weather.applySurface(this.material);
+
+    if (textured) this.textures.apply(this.material);
+
+    const createLevelMesh = (step, level) => {
+      const mesh = new THREE.Mesh(this.#createGeometry(step, level), this.material);
+
+      mesh.castShadow = false;
+      mesh.receiveShadow = true;
+
+      return mesh;
+    };
+
+    // Volumetric chunks have a single level
+    if (this.volume) {
+      const mesh = new THREE.Mesh(this.#createVolumeGeometry(), this.material);
+
+      mesh.receiveShadow = true;
+      mesh.position.set(this.offset.x, 0, this.offset.z);
+
+      return mesh;
+    }
+
+    if (!this.lod) {
+      const mesh = createLevelMesh(1, 0);
+
+      mesh.position.set(this.offset.x, 0, this.offset.z);
+
+      return mesh;
+    }
+
+    const lod = new THREE.LOD();
+
+    for (let level = 0; level < LOD_LEVELS; level++) {
+      const step = 2 ** level;
+
+      // Not enough vertices left to simplify any further
+      if (level > 0 && step >= gridSize - 1) break;
+
+      lod.addLevel(createLevelMesh(step, level), level * this.size * LOD_DISTANCE, LOD_HYSTERESIS);
+    }
+
+    lod.position.set(this.offset.x, 0, this.offset.z);
+
+    return lod;
+  }
+
+  // Flat grid over the chunk that remembers the seabed height under each
+  // vertex, the water shader lifts it to sea level and tints it by depth
+  #createWater(water) {
+    const gridSize = this.gridSize;
+    const cellSize = getCellSize({ chunkSize: this.size, resolution: this.resolution });
+
+    const positions = new Float32Array(gridSize * gridSize * 3);
+    const floorHeights = new Float32Array(gridSize * gridSize);
+    const indices = [];
+
+    for (let z = 0; z < gridSize; z++) {
+      for (let x = 0; x < gridSize; x++) {
+        const index = z * gridSize + x;
+
+        positions.set([x * cellSize - this.size / 2, 0, z * cellSize - this.size / 2], index * 3);
+        floorHeights[index] = getSurfaceHeight(this.grid[index], this.heightMultiplier);
+
+        if (x < gridSize - 1 && z < gridSize - 1) {
+          indices.push(index, index + gridSize, index + 1, index + 1, index + gridSize, index + gridSize + 1);
+        }
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('floorHeight', new THREE.BufferAttribute(floorHeights, 1));
+    geometry.setIndex(indices);
+
+    // The vertices sit at 0 and are moved to sea level in the shader
+    geometry.computeBoundingSphere();
+    geometry.boundingSphere.radius += this.heightMultiplier;
+
+    const mesh = new THREE.Mesh(geometry, water.material);
+
+    mesh.position.set(this.offset.x, 0, this.offset.z);
+
+    return mesh;
+  }
+
+  #createVolumeGeometry() {
+    const { positions, normals, colors, indices } = this.volume;
+    const geometry = new THREE.BufferGeometry();
+
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+    return geometry;
+  }
+
+  #createFreshwaterGeometry() {
+    const { positions, depths, indices } = this.freshwaterData;
+    const geometry = new THREE.BufferGeometry();
+
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('depth', new THREE.BufferAttribute(depths, 1));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+    return geometry;
+  }
+
+  // Rivers and lakes, built by the generator at their own heights
+  #createFreshwater(water) {
+    const mesh = new THREE.Mesh(this.#createFreshwaterGeometry(), water.freshwaterMaterial);
+
+    mesh.position.set(this.offset.x, 0, this.offset.z);
+
+    return mesh;
+  }
+
+  // Full detail geometry in world space, for exporting
+  createExportGeometry() {
+    const geometry = this.volume ? this.#createVolumeGeometry() : this.#createGeometry(1, 0, false);
+
+    return geometry.translate(this.offset.x, 0, this.offset.z);
+  }
+
+  #disposeMesh() {
+    this.mesh.traverse(object => {
+      if (object.isMesh) object.geometry.dispose();
+    });
+
+    this.material.dispose();
+  }
+
+  dispose() {
+    this.water.geometry.dispose();
+    this.freshwater.geometry.dispose();
+    this.scatter.children.forEach(mesh => mesh.dispose());
+
+    this.#disposeMesh();
+  }
+}
+
+// Export
+function getExportName(config) {
+  return `terrain-${config.seed}`;
+}
+
+// The sidecar records what the world was built from and how to read the files
+function exportSidecar(config, terrain, details) {
+  const sidecar = {
+    version: 1,
+    seed: config.seed,
+    config: { ...config },
+    biomes: terrain.biomes,
+    ...details,
+  };
+
+  downloadFile(JSON.stringify(sidecar, null, 2), `${getExportName(config)}.json`, 'application/json');
+}
+
+// One merged mesh with vertex colours, `format` is 'glb' or 'obj'
+async function exportModel(terrain, config, format) {
+  const geometry = terrain.createExportGeometry();
+
+  if (!geometry) return;
+
+  const material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.95, metalness: 0.2, flatShading: true });
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = 'terrain';
+
+  const file = `${getExportName(config)}.${format}`;
+
+  if (format === 'glb') {
+    downloadFile(await new GLTFExporter().parseAsync(mesh, { binary: true }), file, 'model/gltf-binary');
+  } else {
+    downloadFile(new OBJExporter().parse(mesh), file, 'model/obj');
+  }
+
+  geometry.dispose();
+  material.dispose();
+
+  exportSidecar(config, terrain, { model: { file, units: 'world units, y up' } });
+}
+
+// 16 bit grayscale heightmap spread over the lowest to highest point and an
+// RGB splat map of the terrain colours, one pixel per grid vertex
+async function exportHeightmap(terrain, config) {
+  const heightmap = terrain.getHeightmap();
+
+  if (!heightmap) return;
+
+  const { width, height, heights, colors } = heightmap;
+
+  let minHeight = Infinity;
+  let maxHeight = -Infinity;
+
+  for (const value of heights) {
+    minHeight = Math.min(minHeight, value);
+    maxHeight = Math.max(maxHeight, value);
+  }
+
+  const range = maxHeight - minHeight || 1;
+  const levels = heights.map(value => Math.round((value - minHeight) / range * 65535));
+
+  const color = new THREE.Color();
+  const splat = new Uint8Array(colors.length);
+
+  for (let i = 0; i < width * height; i++) {
+    color.fromArray(colors, i * 3).convertLinearToSRGB();
+
+    splat[i * 3] = Math.round(color.r * 255);
+    splat[i * 3 + 1] = Math.round(color.g * 255);
+    splat[i * 3 + 2] = Math.round(color.b * 255);
+  }
+
+  const name = getExportName(config);
+
+  downloadFile(await encodePNG({ width, height, channels: 1, bitDepth: 16, data: levels }), `${name}-height.png`, 'image/png');
+  downloadFile(await encodePNG({ width, height, channels: 3, bitDepth: 8, data: splat }), `${name}-splat.png`, 'image/png');
+
+  exportSidecar(config, terrain, {
+    heightmap: {
+      file: `${name}-height.png`,
+      width,
+      height,
+      bitDepth: 16,
+      // World height of a pixel is minHeight + value / 65535 * (maxHeight - minHeight)
+      minHeight,
+      maxHeight,
+      cellSize: heightmap.cellSize,
+      origin: heightmap.origin,
+      seaHeight: terrain.getSeaHeight(),
+    },
+    splatMap: { file: `${name}-splat.png`, width, height },
+  });
+}
+
+// Walking and flying in world units per second, `sprint` multiplies both
+const NAVIGATION = {
+  modes: ['map', 'walk', 'fly'],
+  eyeHeight: 3,
+  walkSpeed: 15,
+  flySpeed: 80,
+  sprint: 3,
+  jumpSpeed: 18,
+  gravity: 40,
+  transition: 1,
+};
+
+// Switches the camera between the map view and first person walking or
+// flying, with pointer lock to look around and WASD to move
+class Navigation {
+  camera;
+
+  terrain;
+
+  config;
+
+  mode;
+
+  map;
+
+  pointer;
+
+  keys;
+
+  velocity;
+
+  grounded;
+
+  // Map view to come back to and the camera flight towards it
+  mapView;
+
+  transition;
+
+  // Saved views as { name, position, target }
+  bookmarks;
+
+  constructor({ camera, domElement, terrain, config }) {
+    this.camera = camera;
+    this.terrain = terrain;
+    this.config = config;
+    this.mode = 'map';
+    this.keys = new Set();
+    this.velocity = new THREE.Vector3();
+    this.grounded = false;
+    this.mapView = null;
+    this.transition = null;
+    this.bookmarks = [];
+
+    this.map = new MapControls(camera, domElement);
+    this.map.enableDamping = true;
+
+    this.pointer = new PointerLockControls(camera, domElement);
+
+    domElement.addEventListener('click', () => {
+      if (this.mode !== 'map') this.pointer.lock();
+    });
+
+    document.addEventListener('keydown', event => {
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+      if (event.code === 'KeyV') {
+        const modes = NAVIGATION.modes;
+
+        this.config.cameraMode = modes[(modes.indexOf(this.config.cameraMode) + 1) % modes.length];
+      }
+
+      this.keys.add(event.code);
+    });
+
+    document.addEventListener('keyup', event => this.keys.delete(event.code));
+
+    window.addEventListener('blur', () => this.keys.clear());
+  }
+
+  // Where the world is streamed around and what animals run from
+  get focus() {
+    return this.mode === 'map' ? this.map.target : this.camera.position;
+  }
+
+  #setMode(mode) {
+    if (this.mode === 'map') {
+      this.mapView = { position: this.camera.position.clone(), target: this.map.target.clone() };
+
+      this.map.enabled = false;
+      this.transition = null;
+
+      // Walking starts on the ground at the point the map was looking at
+      if (mode === 'walk') {
+        const { x, z } = this.map.target;
+
+        this.camera.position.set(x, (this.terrain.getHeightAt(x, z) ?? this.map.target.y) + NAVIGATION.eyeHeight, z);
+        this.camera.lookAt(x + this.map.target.x - this.mapView.position.x, this.camera.position.y, z + this.map.target.z - this.mapView.position.z);
+      }
+    }
+
+    if (mode === 'map') {
+      this.pointer.unlock();
+
+      this.#startTransition();
+    } else {
+      this.pointer.lock();
+    }
+
+    this.velocity.set(0, 0, 0);
+    this.mode = mode;
+  }
+
+  // Flies the camera from where it is to the map view
+  #startTransition() {
+    this.map.enabled = false;
+
+    this.transition = {
+      elapsed: 0,
+      position: this.camera.position.clone(),
+      quaternion: this.camera.quaternion.clone(),
+      targetQuaternion: new THREE.Quaternion().setFromRotationMatrix(
+        new THREE.Matrix4().lookAt(this.mapView.position, this.mapView.target, this.camera.up)
+      ),
+    };
+  }
+
+  // The camera as a map view, first person views look 100 units ahead
+  getView() {
+    const target = this.mode === 'map'
+      ? this.map.target
+      : this.camera.position.clone().addScaledVector(this.camera.getWorldDirection(new THREE.Vector3()), 100);
+
+    return { position: this.camera.position.toArray(), target: target.toArray() };
+  }
+
+  // Goes back to the map view and flies over to a view from getView()
+  flyTo({ position, target }) {
+    this.mapView = { position: new THREE.Vector3(...position), target: new THREE.Vector3(...target) };
+
+    this.config.cameraMode = 'map';
+
+    if (this.mode === 'map') this.#startTransition();
+    else this.#setMode('map');
+  }
+
+  addBookmark(name = `View ${this.bookmarks.length + 1}`) {
+    const bookmark = { name, ...this.getView() };
+
+    this.bookmarks.push(bookmark);
+
+    return bookmark;
+  }
+
+  #move(delta) {
+    const keys = this.keys;
+    const sprint = keys.has('ShiftLeft') || keys.has('ShiftRight') ? NAVIGATION.sprint : 1;
+
+    const forward = (keys.has('KeyW') || keys.has('ArrowUp') ? 1 : 0) - (keys.has('KeyS') || keys.has('ArrowDown') ? 1 : 0);
+    const right = (keys.has('KeyD') || keys.has('ArrowRight') ? 1 : 0) - (keys.has('KeyA') || keys.has('ArrowLeft') ? 1 : 0);
+
+    const position = this.camera.position;
+
+    if (this.mode === 'fly') {
+      const distance = NAVIGATION.flySpeed * sprint * delta;
+      const direction = this.camera.getWorldDirection(new THREE.Vector3());
+      const side = direction.clone().cross(this.camera.up).normalize();
+      const up = (keys.has('Space') ? 1 : 0) - (keys.has('KeyC') ? 1 : 0);
+
+      position.addScaledVector(direction, forward * distance);
+      position.addScaledVector(side, right * distance);
+      position.y += up * distance;
+    } else {
+      const distance = NAVIGATION.walkSpeed * sprint * delta;
+
+      this.pointer.moveForward(forward * distance);
+      this.pointer.moveRight(right * distance);
+
+      if (this.grounded && keys.has('Space')) this.velocity.y = NAVIGATION.jumpSpeed;
+
+      this.velocity.y -= NAVIGATION.gravity * delta;
+      position.y += this.velocity.y * delta;
+    }
+
+    // Nothing goes below the ground, unloaded chunks hold the camera up
+    const ground = this.terrain.getHeightAt(position.x, position.z);
+    const floor = ground === null ? position.y : ground + NAVIGATION.eyeHeight;
+
+    this.grounded = position.y <= floor;
+
+    if (this.grounded) {
+      position.y = floor;
+      this.velocity.y = Math.max(this.velocity.y, 0);
+    }
+  }
+
+  tick(delta) {
+    delta = Math.min(delta, 0.1);
+
+    if (this.config.cameraMode !== this.mode) this.#setMode(this.config.cameraMode);
+
+    if (this.transition) {
+      const transition = this.transition;
+
+      transition.elapsed += delta;
+
+      const progress = smoothstep(0, NAVIGATION.transition, transition.elapsed);
+
+      this.camera.position.lerpVectors(transition.position, this.mapView.position, progress);
+      this.camera.quaternion.slerpQuaternions(transition.quaternion, transition.targetQuaternion, progress);
+
+      if (progress === 1) {
+        this.transition = null;
+
+        this.map.target.copy(this.mapView.target);
+        this.map.enabled = true;
+      }
+
+      return;
+    }
+
+    if (this.mode === 'map') this.map.update();
+    else this.#move(delta);
+  }
+}
+
+// Starting points for the noise graph, generation.js lists the node types
+const NOISE_PRESETS = {
+  fbm: null,
+  mountains: {
+    type: 'add',
+    inputs: [
+      { type: 'fbm', frequency: 1, octaves: 5, weight: 0.5 },
+      {
+        type: 'mask',
+        mask: { type: 'fbm', frequency: 0.6, octaves: 2, seed: 3 },
+        inputs: [
+          { type: 'billow', frequency: 2, octaves: 4, weight: 0.2 },
+          { type: 'ridged', frequency: 2, octaves: 6, persistance: 0.5, lacunarity: 2.1, weight: 1 },
+        ],
+      },
+    ],
+  },
+  plateaus: {
+    type: 'terrace',
+    steps: 5,
+    sharpness: 0.85,
+    input: {
+      type: 'warp',
+      strength: 0.15,
+      warp: { type: 'fbm', frequency: 2, octaves: 3, seed: 7 },
+      input: { type: 'fbm', frequency: 1, octaves: 5 },
+    },
+  },
+  cells: {
+    type: 'max',
+    inputs: [
+      { type: 'worley', frequency: 4, distance: 'f2-f1', weight: 0.6 },
+      { type: 'fbm', frequency: 1, octaves: 4, weight: 0.8 },
+    ],
+  },
+};
+
+const SCULPT_TOOLS = ['none', 'raise', 'lower', 'smooth', 'flatten', 'paint'];
+
+// Brushes for the map view, hold the left button on the terrain to use the
+// picked tool. Ctrl+Z undoes a stroke and Ctrl+Y or Ctrl+Shift+Z redoes it
+class Sculptor {
+  camera;
+
+  terrain;
+
+  navigation;
+
+  tool;
+
+  radius;
+
+  strength;
+
+  biome;
+
+  // Mouse position in normalized device coordinates
+  pointer;
+
+  raycaster;
+
+  sculpting;
+
+  // Height flattening goes to, taken where a stroke starts
+  level;
+
+  cursor;
+
+  constructor({ scene, camera, domElement, terrain, navigation }) {
+    this.camera = camera;
+    this.terrain = terrain;
+    this.navigation = navigation;
+    this.tool = 'none';
+    this.radius = 40;
+    this.strength = 0.5;
+    this.biome = BIOMES[0].name;
+    this.pointer = null;
+    this.raycaster = new THREE.Raycaster();
+    this.sculpting = false;
+    this.level = null;
+
+    this.cursor = new THREE.Mesh(
+      new THREE.RingGeometry(0.95, 1, 48).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.8, depthTest: false })
+    );
+    this.cursor.visible = false;
+    this.cursor.renderOrder = 1;
+    scene.add(this.cursor);
+
+    domElement.addEventListener('pointermove', event => {
+      this.pointer = new THREE.Vector2(event.clientX / window.innerWidth * 2 - 1, -(event.clientY / window.innerHeight) * 2 + 1);
+    });
+
+    domElement.addEventListener('pointerleave', () => {
+      this.pointer = null;
+    });
+
+    domElement.addEventListener('pointerdown', event => {
+      if (event.button !== 0 || this.tool === 'none' || this.navigation.mode !== 'map') return;
+
+      this.sculpting = true;
+      this.level = null;
+
+      this.terrain.beginStroke();
+    });
+
+    window.addEventListener('pointerup', () => {
+      if (!this.sculpting) return;
+
+      this.sculpting = false;
+
+      this.terrain.endStroke();
+    });
+
+    document.addEventListener('keydown', event => {
+      // Undo and redo in a text field are for its text
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+      if (!event.ctrlKey && !event.metaKey) return;
+
+      if (event.code === 'KeyY' || (event.code === 'KeyZ' && event.shiftKey)) this.terrain.redo();
+      else if (event.code === 'KeyZ') this.terrain.undo();
+    });
+  }
+
+  tick(delta) {
+    const active = this.tool !== 'none' && this.navigation.mode === 'map';
+
+    // The left button pans the map unless a tool is picked
+    this.navigation.map.mouseButtons.LEFT = active ? null : THREE.MOUSE.PAN;
+
+    this.cursor.visible = false;
+
+    if (!active || !this.pointer) return;
+
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    const hit = this.terrain.raycast(this.raycaster.ray.origin, this.raycaster.ray.direction);
+
+    if (!hit) return;
+
+    this.cursor.visible = true;
+    this.cursor.position.copy(hit.point);
+    this.cursor.scale.setScalar(this.radius);
+
+    if (!this.sculpting) return;
+
+    this.level ??= hit.point.y;
+
+    this.terrain.sculpt({
+      tool: this.tool,
+      x: hit.point.x,
+      z: hit.point.z,
+      radius: this.radius,
+      strength: this.strength * Math.min(delta, 0.1) * 2,
+      level: this.level,
+      biome: BIOMES.findIndex(biome => biome.name === this.biome),
+    });
+  }
+}
+
+// Version 1 is the sidecar the exports write, it only has the config
+const PROJECT_VERSION = 2;
+
+// Each migration turns a project of that version into the next one
+const PROJECT_MIGRATIONS = {
+  1: ({ config, biomes }) => ({
+    version: 2,
+    config,
+    biomes,
+    images: {},
+    edits: null,
+    scatter: null,
+    camera: null,
+    bookmarks: [],
+  }),
+};
+
+const AUTOSAVE_KEY = 'nature-environment-project';
+
+const AUTOSAVE_INTERVAL = 5;
+
+// Saves and loads whole worlds: config, biomes, imported images, sculpting,
+// scattered objects and camera bookmarks. Autosaves to localStorage
+class ProjectStore {
+  config;
+
+  terrain;
+
+  navigation;
+
+  dayNight;
+
+  // Called after a project is loaded, to refresh the GUI
+  onLoad;
+
+  elapsed;
+
+  // What the last autosave saw, to skip saving when nothing changed
+  signature;
+
+  constructor({ config, terrain, navigation, dayNight }) {
+    this.config = config;
+    this.terrain = terrain;
+    this.navigation = navigation;
+    this.dayNight = dayNight;
+    this.onLoad = null;
+    this.elapsed = 0;
+    this.signature = null;
+
+    window.addEventListener('pagehide', () => this.autosave());
+  }
+
+  serialize() {
+    const round = array => Array.from(array, value => Math.round(value * 100) / 100);
+
+    const scatter = {};
+
+    Object.entries(this.terrain.getScatter()).forEach(([key, categories]) => {
+      scatter[key] = Object.fromEntries(Object.entries(categories).map(([category, instances]) => [category, round(instances)]));
+    });
+
+    return {
+      version: PROJECT_VERSION,
+      config: { ...this.config, timeOfDay: this.dayNight.time },
+      biomes: BIOMES,
+      images: {
+        islandMask: encodeImage(this.terrain.islandMask),
+        heightmap: encodeImage(this.terrain.heightmapImage),
+        mask: encodeImage(this.terrain.maskImage),
+      },
+      edits: this.terrain.edits.toJSON(),
+      scatter,
+      camera: this.navigation.getView(),
+      bookmarks: this.navigation.bookmarks,
+    };
+  }
+
+  // Brings an older project up to date, failing on ones from a newer version
+  migrate(project) {
+    let version = project.version ?? 1;
+
+    if (version > PROJECT_VERSION) throw new Error(`Project version ${version} is newer than this app (${PROJECT_VERSION})`);
+
+    while (version < PROJECT_VERSION) {
+      project = PROJECT_MIGRATIONS[version](project);
+      version = project.version;
+    }
+
+    // Settings added since the project was saved get their defaults
+    return { ...project, config: withValidConfig({ ...DEFAULT_CONFIG, ...project.config }) };
+  }
+
+  load(data) {
+    const project = this.migrate(data);
 
-  // Calcula o value transformado para o intervalo de 0 a 1
-  return (value - min) / (max - min);
-}
+    Object.assign(this.config, project.config);
 
-function createEmptyMatrix(size) {
-  return Array.from({ length: size }).map(() => Array.from({ length: size }).fill(0));
-}
+    // The GUI holds on to the biome objects, so they're updated in place
+    project.biomes?.forEach((biome, index) => {
+      if (!BIOMES[index]) return;
+
+      const { ramp, ...settings } = biome;
+
+      Object.assign(BIOMES[index], settings);
+      ramp.forEach((stop, stopIndex) => Object.assign(BIOMES[index].ramp[stopIndex] ?? {}, stop));
+    });
+
+    const terrain = this.terrain;
 
-function createIslandShapeGrid(size) {
-  const grid = [];
+    terrain.destroy();
+    terrain.update(this.config);
 
-  function evaluate(value) {
-    const a = 3;
-    const b = 2.2;
+    terrain.islandMask = decodeImage(project.images.islandMask);
+    terrain.heightmapImage = decodeImage(project.images.heightmap);
+    terrain.maskImage = decodeImage(project.images.mask);
+    terrain.setEdits(project.edits
+      ? EditLayer.fromJSON(project.edits)
+      : new EditLayer({ cellSize: getCellSize(this.config), origin: -this.config.chunkSize / 2 }));
 
-    return Math.pow(value, a) / (Math.pow(value, a) + Math.pow(b - b * value, a))
+    terrain.savedScatter = project.scatter
+      ? new Map(Object.entries(project.scatter).map(([key, categories]) => [
+        key,
+        Object.fromEntries(Object.entries(categories).map(([category, instances]) => [category, new Float32Array(instances)])),
+      ]))
+      : null;
+
+    terrain.create();
+
+    this.navigation.bookmarks = project.bookmarks;
+
+    if (project.camera) this.navigation.flyTo(project.camera);
+
+    this.dayNight.time = this.config.timeOfDay;
+    this.signature = null;
+
+    this.onLoad?.();
+  }
+
+  save() {
+    downloadFile(JSON.stringify(this.serialize()), `${getExportName(this.config)}.world.json`, 'application/json');
   }
 
-  for (let i = 0; i < size; i++) {
-    grid[i] = [];
-    for (let j = 0; j < size; j++) {
-      const x = i / size * 2 - 1;
-      const y = j / size * 2 - 1;
+  async open() {
+    const file = await pickFile('.json,application/json');
 
-      const value = Math.max(Math.abs(x), Math.abs(y));
+    if (!file) return;
 
-      grid[i][j] = evaluate(value);
+    try {
+      this.load(JSON.parse(await file.text()));
+    } catch (error) {
+      alert(`Could not load project: ${error.message}`);
     }
   }
 
-  return grid
-}
+  autosave() {
+    if (!this.config.autosave) return;
 
-// Core
-class Noise {
-  seed;
+    const signature = JSON.stringify([this.config, BIOMES, this.terrain.edits.revision, this.navigation.bookmarks]);
 
-  constructor() {
-    this.seed = Math.floor(Math.random() * 100000);
+    if (signature === this.signature) return;
+
+    try {
+      localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(this.serialize()));
+
+      this.signature = signature;
+    } catch (error) {
+      console.warn('Autosave failed', error);
+    }
+  }
+
+  // Loads the autosave unless a link for another world was opened, returns
+  // whether it did
+  restore() {
+    const saved = localStorage.getItem(AUTOSAVE_KEY);
 
-    noise.seed(this.seed);
+    if (!saved) return false;
+
+    try {
+      const project = this.migrate(JSON.parse(saved));
+
+      if (location.hash && this.terrain.hash(project.config) !== this.terrain.hash(this.config)) return false;
+
+      this.load(project);
+
+      return true;
+    } catch (error) {
+      console.warn('Could not restore the autosave', error);
+
+      return false;
+    }
   }
 
-  get(x, z) {
-    const value = noise.simplex2(x, z);
+  tick(delta) {
+    this.elapsed += delta;
 
-    return (value + 1) / 2;
+    if (this.elapsed < AUTOSAVE_INTERVAL) return;
+
+    this.elapsed = 0;
+    this.autosave();
   }
 }
 
-class Terrain {
-  scene;
+class UIControl {
+  config;
 
-  // Sizing
-  size;
+  gui;
 
-  chunkSize;
+  noiseFolder;
 
-  // Variation
-  octaves;
+  // Noise graph the layer controls were built for
+  noiseGraph;
 
-  persistance;
+  // What the noise graph field shows, only written to the config once it compiles
+  noiseGraphText;
 
-  lacunarity;
+  navigation;
 
-  heightMultiplier;
+  bookmarksFolder;
 
-  // Config
-  islands;
+  constructor(config, { dayNight, sculptor, navigation, projects }) {
+    this.config = config;
 
-  wireframe;
+    const gui = new dat.GUI();
+    this.gui = gui;
 
-  chunks;
+    const generationFolder = gui.addFolder('Generation');
+    generationFolder.open();
 
-  noise;
+    generationFolder.add(this.config, 'seed').step(1);
+    generationFolder.add(this.config, 'size', 1, 5, 1);
+    generationFolder.add(this.config, 'resolution', 2, 32, 2);
+    generationFolder.add(this.config, 'chunkSize', 128, 2048, 128);
 
-  minHeight;
+    generationFolder.add(this.config, 'octaves', 1, 10, 1);
+    generationFolder.add(this.config, 'persistance', 0.1, 5, 0.1);
+    generationFolder.add(this.config, 'lacunarity', 1, 10, 0.1);
+    generationFolder.add(this.config, 'heightMultiplier', 1, 1000, 0.1);
 
-  maxHeight;
+    generationFolder.add(this.config, 'wireframe');
+    generationFolder.add(this.config, 'terrainStyle', TERRAIN_STYLES);
 
-  constructor({
-    scene,
-    size,
-    chunkSize,
-    resolution,
-    octaves,
-    persistance,
-    lacunarity,
-    heightMultiplier,
-    islands,
-    wireframe
-  }) {
-    this.scene = scene;
-    this.size = size;
-    this.chunkSize = chunkSize;
-    this.resolution = resolution;
-    this.octaves = octaves;
-    this.persistance = persistance;
-    this.lacunarity = lacunarity;
-    this.heightMultiplier = heightMultiplier;
-    this.islands = islands;
-    this.wireframe = wireframe;
+    generationFolder.add(this.config, 'infinite');
+    generationFolder.add(this.config, 'viewDistance', 1, 6, 1);
 
-    this.minHeight = Number.MAX_SAFE_INTEGER;
-    this.maxHeight = Number.MIN_SAFE_INTEGER;
+    generationFolder.add(this.config, 'noiseSource', Object.keys(NOISE_SOURCES));
 
-    this.chunks = [];
+    const noiseFolder = gui.addFolder('Noise graph');
+    this.noiseFolder = noiseFolder;
 
-    this.noise = new Noise();
-  }
+    noiseFolder.add({ preset: 'fbm' }, 'preset', Object.keys(NOISE_PRESETS)).onChange(name => {
+      this.config.noiseGraph = NOISE_PRESETS[name] ? JSON.stringify(NOISE_PRESETS[name]) : '';
 
-  #create() {
-    for (let z = 0; z < this.size; z++) {
-      for (let x = 0; x < this.size; x++) {
-        const chunk = new Chunk({
-          size: this.chunkSize,
-          offset: { z: z * this.chunkSize, x: x * this.chunkSize },
-          resolution: this.resolution,
-          heightMultiplier: this.heightMultiplier,
-          getHeight: this.#getHeight.bind(this),
-          islands: this.islands,
-          wireframe: this.wireframe,
-        });
+      this.updateDisplay();
+    });
 
-        this.#addChunk(chunk);
+    this.noiseGraphText = { json: this.config.noiseGraph };
+
+    noiseFolder.add(this.noiseGraphText, 'json').name('JSON').onFinishChange(json => {
+      try {
+        if (json) compileNoiseGraph(json, this.config.noiseSource);
+
+        this.config.noiseGraph = json;
+      } catch (error) {
+        alert(`Invalid noise graph: ${error.message}`);
       }
-    }
-  }
 
-  #addChunk(chunk) {
-    this.chunks.push(chunk);
-    this.scene.add(chunk.mesh);
-  }
+      this.updateDisplay();
+    });
 
-  #getHeight({ x, z }, offset) {
-    let amplitude = 1;
-    let frequency = 1;
-    let noiseHeight = 0;
+    this.#buildNoiseLayers();
 
-    const terrainWidth = this.size * this.chunkSize;
-    const gridSize = Math.floor(this.chunkSize / this.resolution);
+    const islandsFolder = gui.addFolder('Islands');
 
-    const noisePosition = {
-      x: (x * gridSize + offset.x) / terrainWidth,
-      z: (z * gridSize + offset.z) / terrainWidth
-    }
+    islandsFolder.add(this.config, 'islands');
+    islandsFolder.add(this.config, 'islandShape', ISLAND_SHAPES);
+    islandsFolder.add(this.config, 'islandCount', 1, 8, 1);
+    islandsFolder.add(this.config, 'islandCurve', 1, 10, 0.1);
+    islandsFolder.add(this.config, 'islandSpread', 1, 5, 0.1);
 
-    for (let i = 0; i < this.octaves; i++) {
-      const value = this.noise.get(
-        noisePosition.x * frequency,
-        noisePosition.z * frequency
-      );
+    islandsFolder.add({
+      'Load island mask': async () => {
+        const file = await pickFile('image/*');
 
-      noiseHeight += value * amplitude;
+        if (!file) return;
 
-      amplitude *= this.persistance;
-      frequency *= this.lacunarity;
-    }
+        window.terrain.setIslandMask(await readGrayscaleImage(file));
 
-    if (noiseHeight < this.minHeight) this.minHeight = noiseHeight;
-    if (noiseHeight > this.maxHeight) this.maxHeight = noiseHeight;
+        this.config.islands = true;
+        this.config.islandShape = 'mask';
 
-    noiseHeight = inverseLerp(this.minHeight, this.maxHeight, noiseHeight);
+        this.updateDisplay();
+      }
+    }, 'Load island mask');
 
-    return noiseHeight;
-  }
+    const heightmapFolder = gui.addFolder('Heightmap');
 
-  destroy() {
-    this.chunks.forEach(chunk => this.scene.remove(chunk.mesh));
+    heightmapFolder.add(this.config, 'heightmap');
+    heightmapFolder.add(this.config, 'heightmapNoise', 0, 1, 0.01);
+    heightmapFolder.add(this.config, 'mask');
+    heightmapFolder.add(this.config, 'maskStrength', 0, 1, 0.01);
 
-    this.chunks.length = 0;
-  }
+    heightmapFolder.add({
+      'Load heightmap': async () => {
+        const file = await pickFile('image/*');
 
-  update({ size, chunkSize, resolution, octaves, persistance, lacunarity, heightMultiplier, islands, wireframe }) {
-    this.size = size;
-    this.chunkSize = chunkSize;
-    this.resolution = resolution;
-    this.octaves = octaves;
-    this.persistance = persistance;
-    this.lacunarity = lacunarity;
-    this.heightMultiplier = heightMultiplier;
-    this.islands = islands;
-    this.wireframe = wireframe;
-  }
+        if (!file) return;
 
-  create() {
-    this.#create();
-  }
+        window.terrain.setHeightmap(await readGrayscaleImage(file, 512));
 
-  hash() {
-    return JSON.stringify({
-      size: this.size,
-      chunkSize: this.chunkSize,
-      resolution: this.resolution,
-      octaves: this.octaves,
-      persistance: this.persistance,
-      lacunarity: this.lacunarity,
-      heightMultiplier: this.heightMultiplier,
-      islands: this.islands,
-      wireframe: this.wireframe
-    })
-  }
-}
+        this.config.heightmap = true;
 
-class Chunk {
-  size;
+        this.updateDisplay();
+      }
+    }, 'Load heightmap');
 
-  offset;
+    heightmapFolder.add({
+      'Load mask': async () => {
+        const file = await pickFile('image/*');
 
-  resolution;
+        if (!file) return;
 
-  heightMultiplier;
+        window.terrain.setMask(await readGrayscaleImage(file));
 
-  islands;
+        this.config.mask = true;
 
-  wireframe;
+        this.updateDisplay();
+      }
+    }, 'Load mask');
 
-  getHeight;
+    const erosionFolder = gui.addFolder('Erosion');
 
-  // Calculated
-  grid;
+    erosionFolder.add(this.config, 'erosion');
+    erosionFolder.add(this.config, 'erosionIterations', 1, 10, 1);
+    erosionFolder.add(this.config, 'erosionRain', 0, 4, 0.1);
+    erosionFolder.add(this.config, 'sedimentCapacity', 0.5, 16, 0.5);
+    erosionFolder.add(this.config, 'thermalIterations', 0, 50, 1);
+    erosionFolder.add(this.config, 'talusAngle', 10, 80, 1);
 
-  mesh;
+    const riversFolder = gui.addFolder('Rivers');
 
-  constructor({ size, offset, resolution, heightMultiplier, islands, wireframe, getHeight }) {
-    this.size = size;
-    this.offset = offset;
-    this.resolution = resolution;
-    this.heightMultiplier = heightMultiplier;
-    this.islands = islands;
-    this.wireframe = wireframe;
-    this.getHeight = getHeight;
+    riversFolder.add(this.config, 'rivers');
+    riversFolder.add(this.config, 'riverThreshold', 0.01, 0.5, 0.01);
+    riversFolder.add(this.config, 'riverWidth', 2, 30, 1);
+    riversFolder.add(this.config, 'riverDepth', 0, 0.05, 0.001);
 
-    this.grid = this.#createGrid();
-    this.mesh = this.#createMesh();
-  }
+    const volumeFolder = gui.addFolder('Volume');
 
-  #createGrid() {
-    const gridSize = Math.floor(this.size / this.resolution);
+    volumeFolder.add(this.config, 'volumetric');
+    volumeFolder.add(this.config, 'overhangStrength', 0, 0.5, 0.01);
+    volumeFolder.add(this.config, 'overhangScale', 20, 400, 5);
+    volumeFolder.add(this.config, 'caveScale', 20, 300, 5);
+    volumeFolder.add(this.config, 'caveWidth', 0, 0.3, 0.01);
 
-    const grid = createEmptyMatrix(gridSize);
+    const biomesFolder = gui.addFolder('Biomes');
 
-    // Generate heights
-    for (let z = 0; z < gridSize; z++) {
-      for (let x = 0; x < gridSize; x++) {
-        const height = this.getHeight(
-          { x, z },
-          this.offset
-        );
+    biomesFolder.add(this.config, 'temperatureScale', 0.1, 5, 0.1);
+    biomesFolder.add(this.config, 'moistureScale', 0.1, 5, 0.1);
+    biomesFolder.add(this.config, 'biomeBlend', 0, 0.2, 0.01);
 
-        grid[z][x] = height;
-      }
-    }
+    const applyBiomes = () => window.terrain.setBiomes(BIOMES);
 
-    return grid;
-  }
+    BIOMES.forEach(biome => {
+      const biomeFolder = biomesFolder.addFolder(biome.name);
 
-  #createMesh() {
-    const gridSize = Math.floor(this.size / this.resolution);
+      biomeFolder.add(biome, 'temperatureMin', 0, 1, 0.01).onFinishChange(applyBiomes);
+      biomeFolder.add(biome, 'temperatureMax', 0, 1, 0.01).onFinishChange(applyBiomes);
+      biomeFolder.add(biome, 'moistureMin', 0, 1, 0.01).onFinishChange(applyBiomes);
+      biomeFolder.add(biome, 'moistureMax', 0, 1, 0.01).onFinishChange(applyBiomes);
+      biomeFolder.add(biome, 'blend', 0, 0.1, 0.005).onFinishChange(applyBiomes);
 
-    const geometry = new THREE.PlaneGeometry(
-      this.size,
-      this.size,
-      gridSize - 1,
-      gridSize - 1
-    );
+      biome.ramp.forEach((stop, index) => {
+        biomeFolder.add(stop, 'height', 0, 1, 0.01).name(`height ${index + 1}`).onFinishChange(applyBiomes);
+        biomeFolder.addColor(stop, 'color').name(`color ${index + 1}`).onFinishChange(applyBiomes);
+      });
+    });
 
-    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(gridSize * gridSize * 3), 3));
+    const vegetationFolder = gui.addFolder('Vegetation');
 
-    const material = new THREE.MeshStandardMaterial({
-      vertexColors: true,
-      roughness: 0.95,
-      metalness: 0.2,
-      wireframe: this.wireframe,
-      side: THREE.DoubleSide,
-      flatShading: true,
+    vegetationFolder.add(this.config, 'treeDensity', 0, 3, 0.1);
+    vegetationFolder.add(this.config, 'bushDensity', 0, 3, 0.1);
+    vegetationFolder.add(this.config, 'grassDensity', 0, 3, 0.1);
+    vegetationFolder.add(this.config, 'rockDensity', 0, 3, 0.1);
+
+    const animalsFolder = gui.addFolder('Animals');
+
+    animalsFolder.add(this.config, 'deerCount', 0, FAUNA_LIMIT, 1);
+    animalsFolder.add(this.config, 'birdCount', 0, FAUNA_LIMIT, 1);
+    animalsFolder.add(this.config, 'fishCount', 0, FAUNA_LIMIT, 1);
+    animalsFolder.add(this.config, 'animalSpeed', 0, 3, 0.1);
+
+    const waterFolder = gui.addFolder('Water');
+
+    waterFolder.add(this.config, 'seaLevel', 0, 1, 0.01);
+    waterFolder.add(this.config, 'waveHeight', 0, 10, 0.1);
+    waterFolder.add(this.config, 'waterOpacity', 0, 1, 0.01);
+
+    const weatherFolder = gui.addFolder('Weather');
+
+    weatherFolder.add(this.config, 'weather', Object.keys(WEATHER)).listen();
+    weatherFolder.add(this.config, 'weatherAuto');
+    weatherFolder.add(this.config, 'weatherDuration', 10, 600, 10);
+
+    const timeFolder = gui.addFolder('Time');
+
+    timeFolder.add(dayNight, 'time', 0, 24, 0.01).listen().onFinishChange(time => {
+      this.config.timeOfDay = time;
     });
+    timeFolder.add(this.config, 'timeRunning');
+    timeFolder.add(this.config, 'dayLength', 10, 1200, 10);
+    timeFolder.add(this.config, 'fog');
 
-    const positions = geometry.attributes.position;
-    const colors = geometry.attributes.color;
+    const cameraFolder = gui.addFolder('Camera');
 
-    for (let z = 0; z < gridSize; z++) {
-      for (let x = 0; x < gridSize; x++) {
-        const index = z * gridSize + x;
+    cameraFolder.add(this.config, 'cameraMode', NAVIGATION.modes).name('mode (V)').listen();
 
-        const height = this.grid[z][x];
+    const sculptFolder = gui.addFolder('Sculpt');
 
-        const color = (() => {
-          if (height < .45) return COLORS.water;
-          if (height < .5) return COLORS.sand;
-          if (height < .7) return COLORS.grass;
-          if (height < .9) return COLORS.rock;
-          return COLORS.snow;
-        })();
+    sculptFolder.add(sculptor, 'tool', SCULPT_TOOLS);
+    sculptFolder.add(sculptor, 'radius', 5, 200, 1);
+    sculptFolder.add(sculptor, 'strength', 0.05, 1, 0.05);
+    sculptFolder.add(sculptor, 'biome', BIOMES.map(biome => biome.name)).name('paint biome');
+    sculptFolder.add({ 'Undo (Ctrl+Z)': () => window.terrain.undo() }, 'Undo (Ctrl+Z)');
+    sculptFolder.add({ 'Redo (Ctrl+Y)': () => window.terrain.redo() }, 'Redo (Ctrl+Y)');
+    sculptFolder.add({ 'Clear edits': () => window.terrain.clearEdits() }, 'Clear edits');
 
-        positions.setZ(index, (height < .49 ? .49 : height) * this.heightMultiplier);
-        colors.setXYZ(index, color.r, color.g, color.b);
-      }
-    }
-    const mesh = new THREE.Mesh(geometry, material);
+    const projectFolder = gui.addFolder('Project');
 
-    mesh.position.add(new THREE.Vector3(this.offset.x, 0, this.offset.z))
-    mesh.rotation.x = - Math.PI / 2;
-    mesh.castShadow = false;
-    mesh.receiveShadow = true;
+    projectFolder.add({ 'Save project': () => projects.save() }, 'Save project');
+    projectFolder.add({ 'Load project': () => projects.open() }, 'Load project');
+    projectFolder.add(this.config, 'autosave');
 
-    return mesh;
-  }
-}
+    this.bookmarksFolder = gui.addFolder('Bookmarks');
+    this.navigation = navigation;
 
-class UIControl {
-  config;
+    this.bookmarksFolder.add({
+      'Add bookmark': () => {
+        const bookmark = navigation.addBookmark(prompt('Bookmark name', `View ${navigation.bookmarks.length + 1}`) || undefined);
 
-  constructor(config) {
-    this.config = config;
+        this.#addBookmark(bookmark);
+      }
+    }, 'Add bookmark');
 
-    const gui = new dat.GUI();
+    navigation.bookmarks.forEach(bookmark => this.#addBookmark(bookmark));
 
-    const generationFolder = gui.addFolder('Generation');
-    generationFolder.open();
+    const exportFolder = gui.addFolder('Export');
 
-    generationFolder.add(this.config, 'size', 1, 5, 1);
-    generationFolder.add(this.config, 'resolution', 2, 32, 2);
-    generationFolder.add(this.config, 'chunkSize', 128, 2048, 128);
+    exportFolder.add({ 'glTF (GLB)': () => exportModel(window.terrain, this.config, 'glb') }, 'glTF (GLB)');
+    exportFolder.add({ 'OBJ': () => exportModel(window.terrain, this.config, 'obj') }, 'OBJ');
+    exportFolder.add({ 'Heightmap PNG': () => exportHeightmap(window.terrain, this.config) }, 'Heightmap PNG');
 
-    generationFolder.add(this.config, 'octaves', 1, 10, 1);
-    generationFolder.add(this.config, 'persistance', 0.1, 5, 0.1);
-    generationFolder.add(this.config, 'lacunarity', 1, 10, 0.1);
-    generationFolder.add(this.config, 'heightMultiplier', 1, 1000, 0.1);
+    const lodFolder = gui.addFolder('Level of detail');
 
-    generationFolder.add(this.config, 'islands');
-    generationFolder.add(this.config, 'wireframe');
+    lodFolder.add(this.config, 'lod');
+    lodFolder.add(this.config, 'lodDebug');
 
     generationFolder.add({
       'Generate new seed': () => {
-        window.terrain.destroy();
-        window.terrain = new Terrain({ ...this.config, scene });
+        this.config.seed = randomSeed();
 
-        window.terrain.create();
+        this.updateDisplay();
       }
     }, 'Generate new seed');
+
+    generationFolder.add({
+      'Copy world link': () => navigator.clipboard.writeText(location.href)
+    }, 'Copy world link');
+  }
+
+  // One folder per node of the noise graph with its settings, changing one
+  // writes the graph back to the config
+  #buildNoiseLayers() {
+    this.noiseGraph = this.config.noiseGraph;
+
+    if (this.noiseFolder.__folders.Layers) this.noiseFolder.removeFolder(this.noiseFolder.__folders.Layers);
+
+    if (!this.config.noiseGraph) return;
+
+    let graph;
+
+    try {
+      graph = JSON.parse(this.config.noiseGraph);
+    } catch {
+      return;
+    }
+
+    const layersFolder = this.noiseFolder.addFolder('Layers');
+    layersFolder.open();
+
+    const write = () => {
+      const json = JSON.stringify(graph);
+
+      try {
+        compileNoiseGraph(json, this.config.noiseSource);
+      } catch (error) {
+        alert(`Invalid noise graph: ${error.message}`);
+
+        // Back to the controls of the graph still in use
+        this.#buildNoiseLayers();
+
+        return;
+      }
+
+      this.config.noiseGraph = json;
+      this.noiseGraph = json;
+      this.noiseGraphText.json = json;
+
+      this.noiseFolder.__controllers.forEach(controller => controller.updateDisplay());
+    };
+
+    const addNode = (node, path) => {
+      const folder = layersFolder.addFolder(`${path} ${node.type}`);
+
+      Object.entries(node).forEach(([key, value]) => {
+        if (key === 'source') folder.add(node, key, Object.keys(NOISE_SOURCES)).onFinishChange(write);
+        else if (key === 'distance') folder.add(node, key, ['f1', 'f2-f1']).onFinishChange(write);
+        else if (typeof value === 'number') folder.add(node, key).onFinishChange(write);
+      });
+
+      ['input', 'warp', 'mask'].forEach(key => {
+        if (node[key]) addNode(node[key], `${path}.${key}`);
+      });
+
+      node.inputs?.forEach((input, index) => addNode(input, `${path}.${index + 1}`));
+    };
+
+    addNode(graph, 'root');
+  }
+
+  #addBookmark(bookmark) {
+    this.bookmarksFolder.add({ [bookmark.name]: () => this.navigation.flyTo(bookmark) }, bookmark.name);
+  }
+
+  // Bookmark buttons for the current bookmarks, after loading a project
+  updateBookmarks() {
+    this.bookmarksFolder.__controllers.slice(1).forEach(controller => this.bookmarksFolder.remove(controller));
+
+    this.navigation.bookmarks.forEach(bookmark => this.#addBookmark(bookmark));
+  }
+
+  updateDisplay() {
+    if (this.noiseGraph !== this.config.noiseGraph) this.#buildNoiseLayers();
+
+    this.noiseGraphText.json = this.config.noiseGraph;
+
+    const update = folder => {
+      folder.__controllers.forEach(controller => controller.updateDisplay());
+
+      Object.values(folder.__folders).forEach(update);
+    };
+
+    update(this.gui);
   }
 }
 
 // App
 function main() {
+  CONFIG = observeConfig(
+    { ...DEFAULT_CONFIG, seed: randomSeed(), ...decodeConfig(location.hash) },
+    keys => CONFIG_EVENTS.dispatchEvent(new CustomEvent('change', { detail: keys }))
+  );
+
   // Scene
   const scene = new THREE.Scene();
   window.scene = scene;
-  scene.background = new THREE.Color(0xeeeeee);
 
   // Renderer
   const renderer = new THREE.WebGLRenderer();
   renderer.shadowMap.enabled = true;
+  renderer.toneMapping = THREE.ACESFilmicToneMapping;
+  renderer.toneMappingExposure = 0.8;
   renderer.setSize(window.innerWidth, window.innerHeight);
   document.body.appendChild(renderer.domElement);
 
@@ -392,19 +4374,10 @@ function main() {
   camera.lookAt(new THREE.Vector3(0, 0, 0));
 
   // Light
-  const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-  directionalLight.position.set(500, 250, -500);
-  directionalLight.castShadow = true;
-  scene.add(directionalLight);
-  const helper = new THREE.DirectionalLightHelper(directionalLight, 5);
-  scene.add(helper);
+  const dayNight = new DayNight({ scene, config: CONFIG });
 
-  // Fly Controls
-  const controls = new MapControls(camera, renderer.domElement);
-  controls.enableDamping = true;
-
-  // UI Controller
-  new UIControl(CONFIG);
+  // Weather
+  const weather = new Weather({ scene, config: CONFIG });
 
   window.addEventListener('resize', () => {
     camera.aspect = window.innerWidth / window.innerHeight;
@@ -412,9 +4385,60 @@ function main() {
     renderer.setSize(window.innerWidth, window.innerHeight);
   });
 
-  window.terrain = new Terrain({ ...CONFIG, scene });
+  const workers = new WorkerPool(new URL('./worker.js', import.meta.url));
+
+  const water = new Water(CONFIG);
+
+  const textures = new TerrainTextures(CONFIG);
+
+  const vegetation = new Vegetation();
+  weather.applyWind(vegetation.material);
+
+  window.terrain = new Terrain({ ...CONFIG, scene, workers, water, textures, vegetation, weather });
+
+  const fauna = new Fauna({ scene, terrain: window.terrain, config: CONFIG });
+
+  // Map, walk and fly controls
+  const navigation = new Navigation({ camera, domElement: renderer.domElement, terrain: window.terrain, config: CONFIG });
+
+  // Sculpting and painting brushes
+  const sculptor = new Sculptor({ scene, camera, domElement: renderer.domElement, terrain: window.terrain, navigation });
+
+  // Saving, loading and autosaving
+  const projects = new ProjectStore({ config: CONFIG, terrain: window.terrain, navigation, dayNight });
+
+  // UI Controller
+  const ui = new UIControl(CONFIG, { dayNight, sculptor, navigation, projects });
+
+  projects.onLoad = () => {
+    ui.updateDisplay();
+    ui.updateBookmarks();
+  };
+
+  // Every change, from the GUI, a link or a loaded project, only redoes what it invalidates
+  CONFIG_EVENTS.addEventListener('change', () => {
+    window.terrain.reconfigure(CONFIG);
+
+    // Just uniforms
+    water.update(CONFIG);
+    textures.update(CONFIG);
+
+    history.replaceState(null, '', `#${encodeConfig(CONFIG)}`);
+  });
+
+  // Opening another world link in the same tab
+  window.addEventListener('hashchange', () => {
+    Object.assign(CONFIG, decodeConfig(location.hash));
+
+    dayNight.time = CONFIG.timeOfDay;
+
+    ui.updateDisplay();
+  });
+
+  // Carry on from the last session when there is one for this world
+  if (!projects.restore()) window.terrain.create();
 
-  window.terrain.create();
+  history.replaceState(null, '', `#${encodeConfig(CONFIG)}`);
 
   const dir = new THREE.Vector3(0, 1, 0);
   dir.normalize();
@@ -422,20 +4446,30 @@ function main() {
   const arrowHelper = new THREE.ArrowHelper(dir, origin, 350, 'red');
   scene.add(arrowHelper);
 
+  const clock = new THREE.Clock();
+
   const animate = () => {
     requestAnimationFrame(animate);
 
-    controls.update();
+    const delta = clock.getDelta();
 
-    renderer.render(scene, camera);
+    navigation.tick(delta);
+    sculptor.tick(delta);
+    projects.tick(delta);
 
-    if (window.terrain.hash() !== JSON.stringify(CONFIG)) {
-      window.terrain.destroy();
+    weather.tick(delta, camera.position);
 
-      window.terrain.update(CONFIG);
+    dayNight.tick(delta, camera.position, navigation.focus, weather.state.clouds);
 
-      window.terrain.create();
-    }
+    water.tick(delta);
+    water.setLight(dayNight.lightDirection, dayNight.lightColor);
+    water.setWind(weather.wind);
+
+    window.terrain.stream(navigation.focus);
+
+    fauna.tick(delta, navigation.focus);
+
+    renderer.render(scene, camera);
   };
 
   animate();
@@ -14,8 +14,21 @@
  *
  */
 
-(function (global) {
-  var module = global.noise = {};
+// Mulberry32: a small 32-bit PRNG, good enough to shuffle the permutation.
+// The generator uses it too for everything placed from the seed
+export function mulberry32(seed) {
+  return function () {
+    seed = (seed + 0x6D2B79F5) | 0;
+    var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Every call builds its own permutation tables, so noise fields with
+// different seeds can be used side by side
+export function createNoise(seed) {
+  var module = {};
 
   function Grad(x, y, z) {
     this.x = x; this.y = y; this.z = z;
@@ -33,56 +46,42 @@
   new Grad(1, 0, 1), new Grad(-1, 0, 1), new Grad(1, 0, -1), new Grad(-1, 0, -1),
   new Grad(0, 1, 1), new Grad(0, -1, 1), new Grad(0, 1, -1), new Grad(0, -1, -1)];
 
-  var p = [151, 160, 137, 91, 90, 15,
-    131, 13, 201, 95, 96, 53, 194, 233, 7, 225, 140, 36, 103, 30, 69, 142, 8, 99, 37, 240, 21, 10, 23,
-    190, 6, 148, 247, 120, 234, 75, 0, 26, 197, 62, 94, 252, 219, 203, 117, 35, 11, 32, 57, 177, 33,
-    88, 237, 149, 56, 87, 174, 20, 125, 136, 171, 168, 68, 175, 74, 165, 71, 134, 139, 48, 27, 166,
-    77, 146, 158, 231, 83, 111, 229, 122, 60, 211, 133, 230, 220, 105, 92, 41, 55, 46, 245, 40, 244,
-    102, 143, 54, 65, 25, 63, 161, 1, 216, 80, 73, 209, 76, 132, 187, 208, 89, 18, 169, 200, 196,
-    135, 130, 116, 188, 159, 86, 164, 100, 109, 198, 173, 186, 3, 64, 52, 217, 226, 250, 124, 123,
-    5, 202, 38, 147, 118, 126, 255, 82, 85, 212, 207, 206, 59, 227, 47, 16, 58, 17, 182, 189, 28, 42,
-    223, 183, 170, 213, 119, 248, 152, 2, 44, 154, 163, 70, 221, 153, 101, 155, 167, 43, 172, 9,
-    129, 22, 39, 253, 19, 98, 108, 110, 79, 113, 224, 232, 178, 185, 112, 104, 218, 246, 97, 228,
-    251, 34, 242, 193, 238, 210, 144, 12, 191, 179, 162, 241, 81, 51, 145, 235, 249, 14, 239, 107,
-    49, 192, 214, 31, 181, 199, 106, 157, 184, 84, 204, 176, 115, 121, 50, 45, 127, 4, 150, 254,
-    138, 236, 205, 93, 222, 114, 67, 29, 24, 72, 243, 141, 128, 195, 78, 66, 215, 61, 156, 180];
   // To remove the need for index wrapping, double the permutation table length
   var perm = new Array(512);
   var gradP = new Array(512);
 
-  // This isn't a very good seeding function, but it works ok. It supports 2^16
-  // different seed values. Write something better if you need more seeds.
+  // Shuffles the permutation table with a PRNG driven by the seed, so every
+  // 32-bit integer gives a different (and reproducible) noise field.
   module.seed = function (seed) {
     if (seed > 0 && seed < 1) {
       // Scale the seed out
-      seed *= 65536;
+      seed *= 4294967296;
+    }
+
+    var random = mulberry32(Math.floor(seed) >>> 0);
+    var i, v;
+
+    for (i = 0; i < 256; i++) {
+      perm[i] = i;
     }
 
-    seed = Math.floor(seed);
-    if (seed < 256) {
-      seed |= seed << 8;
+    // Fisher-Yates
+    for (i = 255; i > 0; i--) {
+      var j = Math.floor(random() * (i + 1));
+      v = perm[i];
+      perm[i] = perm[j];
+      perm[j] = v;
     }
 
-    for (var i = 0; i < 256; i++) {
-      var v;
-      if (i & 1) {
-        v = p[i] ^ (seed & 255);
-      } else {
-        v = p[i] ^ ((seed >> 8) & 255);
-      }
+    for (i = 0; i < 256; i++) {
+      v = perm[i];
 
-      perm[i] = perm[i + 256] = v;
+      perm[i + 256] = v;
       gradP[i] = gradP[i + 256] = grad3[v % 12];
     }
   };
 
-  module.seed(0);
-
-  /*
-  for(var i=0; i<256; i++) {
-    perm[i] = perm[i + 256] = p[i];
-    gradP[i] = gradP[i + 256] = grad3[perm[i] % 12];
-  }*/
+  module.seed(seed || 0);
 
   // Skewing and unskewing factors for 2, 3, and 4 dimensions
   var F2 = 0.5 * (Math.sqrt(3) - 1);
@@ -307,4 +306,5 @@
       v);
   };
 
-})(this);
\ No newline at end of file
+  return module;
+}
\ No newline at end of file
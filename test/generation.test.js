@@ -0,0 +1,321 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_BIOMES,
+  DEFAULT_GENERATION_CONFIG,
+  NOISE_SOURCES,
+  Noise,
+  compileNoiseGraph,
+  createVolumeLookup,
+  generateChunk,
+  getCellSize,
+  getGridSize,
+} from '../generation.js';
+
+function createConfig(settings = {}) {
+  return { ...DEFAULT_GENERATION_CONFIG, biomes: DEFAULT_BIOMES, seed: 1234, ...settings };
+}
+
+function generate(config, chunkX, chunkZ) {
+  return generateChunk({ config, offset: { x: chunkX * config.chunkSize, z: chunkZ * config.chunkSize } });
+}
+
+// Values along one edge of a chunk grid, `stride` is 1 for the data per vertex and 3 for vectors
+function getEdge(data, gridSize, side, stride = 1) {
+  const values = [];
+
+  for (let i = 0; i < gridSize; i++) {
+    const index = {
+      left: i * gridSize,
+      right: i * gridSize + gridSize - 1,
+      top: i,
+      bottom: (gridSize - 1) * gridSize + i,
+    }[side];
+
+    values.push(...data.slice(index * stride, index * stride + stride));
+  }
+
+  return values;
+}
+
+function assertClose(actual, expected, tolerance) {
+  assert.equal(actual.length, expected.length);
+
+  actual.forEach((value, index) => {
+    assert.ok(Math.abs(value - expected[index]) <= tolerance, `${value} and ${expected[index]} differ at ${index}`);
+  });
+}
+
+describe('Noise', () => {
+  it('gives the same field for the same seed', () => {
+    const a = new Noise(42);
+    const b = new Noise(42);
+
+    for (let i = 0; i < 100; i++) {
+      assert.equal(a.get(i * 0.37, i * 0.11), b.get(i * 0.37, i * 0.11));
+    }
+  });
+
+  it('gives different fields for different seeds', () => {
+    const a = new Noise(1);
+    const b = new Noise(2);
+
+    const differences = Array.from({ length: 100 }, (_, i) => a.get(i * 0.37, i * 0.11) !== b.get(i * 0.37, i * 0.11));
+
+    assert.ok(differences.some(Boolean));
+  });
+
+  it('keeps its field when another seed is created', () => {
+    const a = new Noise(7);
+    const before = a.get(3.3, 4.4);
+
+    new Noise(8);
+
+    assert.equal(a.get(3.3, 4.4), before);
+  });
+
+  it('stays within range for every source', () => {
+    const noise = new Noise(99);
+
+    Object.keys(NOISE_SOURCES).forEach(source => {
+      for (let i = 0; i < 500; i++) {
+        const x = (i % 25) * 0.73 - 9;
+        const z = Math.floor(i / 25) * 0.59 - 6;
+
+        const sample = noise.sample(x, z, source, 0.5);
+        const value = noise.get(x, z, source, 0.5);
+
+        assert.ok(sample >= -1 && sample <= 1, `${source} sample ${sample}`);
+        assert.ok(value >= 0 && value <= 1, `${source} value ${value}`);
+      }
+    });
+  });
+});
+
+describe('compileNoiseGraph', () => {
+  it('rejects graphs that would fail while generating', () => {
+    [
+      { type: 'fbm', source: 'foo' },
+      { type: 'mask', mask: { type: 'fbm' }, inputs: [] },
+      { type: 'add', inputs: [] },
+      { type: 'max' },
+      { type: 'warp', input: { type: 'fbm' } },
+      { type: 'terrace' },
+    ].forEach(graph => assert.throws(() => compileNoiseGraph(JSON.stringify(graph)), JSON.stringify(graph)));
+  });
+});
+
+describe('generateChunk', () => {
+  it('is deterministic per seed', () => {
+    const a = generate(createConfig(), 2, -1);
+    const b = generate(createConfig(), 2, -1);
+
+    assert.deepEqual(a.heights, b.heights);
+    assert.deepEqual(a.colors, b.colors);
+    assert.deepEqual(a.normals, b.normals);
+    assert.deepEqual(a.biomes, b.biomes);
+    assert.deepEqual(a.scatter, b.scatter);
+  });
+
+  it('changes with the seed', () => {
+    const a = generate(createConfig({ seed: 1 }), 0, 0);
+    const b = generate(createConfig({ seed: 2 }), 0, 0);
+
+    assert.notDeepEqual(a.heights, b.heights);
+  });
+
+  it('colours and scatters again from heights generated before', () => {
+    const config = createConfig({ biomeBlend: 0.1, treeDensity: 2 });
+    const offset = { x: config.chunkSize, z: 0 };
+
+    const { heights, normals } = generate(createConfig(), 1, 0);
+    const recoloured = generateChunk({ config, offset, surface: { heights, normals } });
+    const generated = generateChunk({ config, offset });
+
+    assert.deepEqual(recoloured.colors, generated.colors);
+    assert.deepEqual(recoloured.biomes, generated.biomes);
+    assert.deepEqual(recoloured.scatter, generated.scatter);
+  });
+
+  it('keeps a flat graph flat', () => {
+    [
+      { type: 'fbm', weight: 0 },
+      { type: 'worley', frequency: 0 },
+    ].forEach(graph => {
+      const { heights, normals } = generate(createConfig({ noiseGraph: JSON.stringify(graph) }), 0, 0);
+
+      assert.ok(heights.every(height => height === 0.5));
+      assert.ok(normals.every(Number.isFinite));
+    });
+  });
+
+  it('keeps every value within range', () => {
+    const config = createConfig();
+    const gridSize = getGridSize(config);
+    const { heights, colors, normals, biomes, scatter } = generate(config, 1, 1);
+
+    assert.equal(heights.length, gridSize * gridSize);
+    assert.ok(heights.every(height => height >= 0 && height <= 1));
+    assert.ok(colors.every(value => value >= 0 && value <= 1));
+    assert.ok(biomes.every(biome => biome < DEFAULT_BIOMES.length));
+
+    for (let i = 0; i < normals.length; i += 3) {
+      assert.ok(Math.abs(Math.hypot(normals[i], normals[i + 1], normals[i + 2]) - 1) < 1e-5);
+      assert.ok(normals[i + 1] > 0);
+    }
+
+    Object.values(scatter).forEach(instances => {
+      for (let i = 0; i < instances.length; i += 5) {
+        assert.ok(Math.abs(instances[i]) <= config.chunkSize / 2);
+        assert.ok(Math.abs(instances[i + 2]) <= config.chunkSize / 2);
+      }
+    });
+  });
+
+  const variants = {
+    'the default noise': {},
+    'perlin noise': { noiseSource: 'perlin' },
+    'islands': { islands: true, islandCount: 3 },
+    'a noise graph': { noiseGraph: JSON.stringify({ type: 'warp', input: { type: 'ridged' }, warp: { type: 'fbm', octaves: 2 }, strength: 0.5 }) },
+    'erosion': { erosion: true, erosionIterations: 1, thermalIterations: 1 },
+    'rivers': { rivers: true },
+    'rivers on an infinite terrain': { rivers: true, infinite: true },
+  };
+
+  Object.entries(variants).forEach(([name, settings]) => {
+    it(`is continuous across chunk edges with ${name}`, () => {
+      const config = createConfig(settings);
+      const gridSize = getGridSize(config);
+
+      const chunk = generate(config, 0, 0);
+      const right = generate(config, 1, 0);
+      const bottom = generate(config, 0, 1);
+
+      assertClose(getEdge(chunk.heights, gridSize, 'right'), getEdge(right.heights, gridSize, 'left'), 1e-6);
+      assertClose(getEdge(chunk.heights, gridSize, 'bottom'), getEdge(bottom.heights, gridSize, 'top'), 1e-6);
+      assertClose(getEdge(chunk.normals, gridSize, 'right', 3), getEdge(right.normals, gridSize, 'left', 3), 1e-4);
+      assertClose(getEdge(chunk.normals, gridSize, 'bottom', 3), getEdge(bottom.normals, gridSize, 'top', 3), 1e-4);
+    });
+  });
+});
+
+describe('rivers', () => {
+  it('run on across the border between two hydrology regions', () => {
+    const config = createConfig({ rivers: true, infinite: true });
+    const edge = config.chunkSize / 2;
+    let crossings = 0;
+
+    // Chunks 3 and 4 are either side of the first region border
+    [-1, 0, 1].forEach(chunkZ => {
+      const { freshwater } = generate(config, 3, chunkZ);
+      const next = generate(config, 4, chunkZ).freshwater;
+
+      for (let i = 0; i < freshwater.positions.length; i += 3) {
+        if (freshwater.positions[i] !== edge) continue;
+
+        let closest = Infinity;
+
+        for (let j = 0; j < next.positions.length; j += 3) {
+          if (next.positions[j] !== -edge) continue;
+
+          closest = Math.min(closest, Math.hypot(freshwater.positions[i + 1] - next.positions[j + 1], freshwater.positions[i + 2] - next.positions[j + 2]));
+        }
+
+        assert.ok(closest < 1e-3, `${freshwater.positions.slice(i, i + 3)} has no match`);
+
+        if (freshwater.depths[i / 3] > 0) crossings++;
+      }
+    });
+
+    assert.ok(crossings > 0);
+  });
+});
+
+describe('volume', () => {
+  // Vertices of a volume mesh past its chunk's edge along `axis` (0 for x, 2 for z), in world space
+  function getOverlap({ volume }, config, chunkX, chunkZ, axis) {
+    const vertices = [];
+
+    for (let i = 0; i < volume.positions.length; i += 3) {
+      if (volume.positions[i + axis] >= -config.chunkSize / 2) continue;
+
+      vertices.push([
+        volume.positions[i] + chunkX * config.chunkSize,
+        volume.positions[i + 1],
+        volume.positions[i + 2] + chunkZ * config.chunkSize,
+      ]);
+    }
+
+    return vertices;
+  }
+
+  it('is only built for volumetric chunks', () => {
+    assert.equal(generate(createConfig(), 0, 0).volume, null);
+
+    const { volume } = generate(createConfig({ volumetric: true }), 0, 0);
+
+    assert.ok(volume.indices.length > 0);
+    assert.ok(volume.indices.every(index => index < volume.positions.length / 3));
+    assert.ok([...volume.positions, ...volume.normals, ...volume.colors].every(Number.isFinite));
+  });
+
+  it('shares the vertices past its edges with its neighbours', () => {
+    const config = createConfig({ volumetric: true, caveWidth: 0.2 });
+
+    const chunk = generate(config, 0, 0);
+
+    [[1, 0, 0], [0, 1, 2]].forEach(([chunkX, chunkZ, axis]) => {
+      const neighbour = generate(config, chunkX, chunkZ);
+      const overlap = getOverlap(neighbour, config, chunkX, chunkZ, axis);
+
+      assert.ok(overlap.length > 0);
+
+      overlap.forEach(vertex => {
+        let closest = Infinity;
+
+        for (let i = 0; i < chunk.volume.positions.length; i += 3) {
+          closest = Math.min(closest, Math.hypot(...vertex.map((value, j) => value - chunk.volume.positions[i + j])));
+        }
+
+        assert.ok(closest < 1e-3, `${vertex} has no match`);
+      });
+    });
+  });
+
+  it('looks up the top of its mesh', () => {
+    const config = createConfig({ volumetric: true, caveWidth: 0.2 });
+    const edge = config.chunkSize / 2 - getCellSize(config);
+    const { volume } = generate(config, 0, 0);
+    const getTop = createVolumeLookup(config, volume);
+
+    // Nothing of the mesh is above the top found under each of its vertices
+    for (let i = 0; i < volume.positions.length; i += 3) {
+      const [x, y, z] = volume.positions.slice(i, i + 3);
+
+      if (Math.abs(x) > edge || Math.abs(z) > edge) continue;
+
+      const top = getTop(x, z);
+
+      assert.ok(top.height >= y - 1e-3, `${x}, ${z} is at ${top.height} under a vertex at ${y}`);
+      assert.ok(top.normal[1] > 0);
+    }
+  });
+
+  it('looks up the heightfield when nothing overhangs', () => {
+    const config = createConfig({ volumetric: true, overhangStrength: 0, caveWidth: 0 });
+    const gridSize = getGridSize(config);
+    const cellSize = getCellSize(config);
+    const { heights, volume } = generate(config, 0, 0);
+    const getTop = createVolumeLookup(config, volume);
+
+    // The last row and column are covered by the neighbours' meshes
+    for (let z = 0; z < gridSize - 1; z++) {
+      for (let x = 0; x < gridSize - 1; x++) {
+        const top = getTop(x * cellSize - config.chunkSize / 2, z * cellSize - config.chunkSize / 2);
+
+        assert.ok(Math.abs(top.height - heights[z * gridSize + x] * config.heightMultiplier) < cellSize / 2);
+      }
+    }
+  });
+});
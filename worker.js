@@ -0,0 +1,26 @@
+import { generateChunk } from './generation.js';
+
+self.onmessage = ({ data: { id, job } }) => {
+  let result;
+
+  // The pool has to hear back about every job, or this worker stays busy
+  try {
+    result = generateChunk(job);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+
+    return;
+  }
+
+  const transfer = [
+    result.heights,
+    result.colors,
+    result.normals,
+    result.biomes,
+    ...Object.values(result.scatter),
+    ...Object.values(result.freshwater),
+    ...Object.values(result.volume ?? {}),
+  ].map(array => array.buffer);
+
+  self.postMessage({ id, result }, transfer);
+};